@@ -0,0 +1,25 @@
+import PeerId = require('peer-id')
+import Client = require('./index')
+
+declare class ConnManager {
+  constructor (client: Client)
+
+  /**
+   * Tag a peer so the connection manager takes it into account when pruning connections
+   *
+   * @param weight - an integer
+   */
+  tagPeer (peerId: PeerId, tag: string, weight: number, options?: Client.RequestOptions): Promise<void>
+
+  /**
+   * Remove a tag previously added to a peer
+   */
+  untagPeer (peerId: PeerId, tag: string, options?: Client.RequestOptions): Promise<void>
+
+  /**
+   * Ask the connection manager to trim open connections down to its low watermark
+   */
+  trim (options?: Client.RequestOptions): Promise<void>
+}
+
+export = ConnManager
@@ -0,0 +1,101 @@
+'use strict'
+
+const PeerID = require('peer-id')
+const errcode = require('err-code')
+
+const {
+  Request,
+  ConnManagerRequest
+} = require('libp2p-daemon/src/protocol')
+const { codes } = require('./errors')
+const { unaryRequest } = require('./request')
+
+class ConnManager {
+  /**
+   * @class
+   * @param {Client} client - libp2p daemon client instance
+   */
+  constructor (client) {
+    this._client = client
+  }
+
+  /**
+   * Tag a peer so the connection manager takes it into account when pruning connections.
+   *
+   * @param {PeerId} peerId
+   * @param {string} tag
+   * @param {number} weight
+   * @param {RequestOptions} [options]
+   */
+  async tagPeer (peerId, tag, weight, options = {}) {
+    if (!PeerID.isPeerId(peerId)) {
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
+    }
+
+    if (typeof tag !== 'string') {
+      throw errcode(new Error('invalid tag received'), codes.ERR_INVALID_TAG)
+    }
+
+    if (!Number.isInteger(weight)) {
+      throw errcode(new Error('invalid weight received'), codes.ERR_INVALID_WEIGHT)
+    }
+
+    const request = {
+      type: Request.Type.CONNMANAGER,
+      connManager: {
+        type: ConnManagerRequest.Type.TAG_PEER,
+        peer: peerId.toBytes(),
+        tag,
+        weight
+      }
+    }
+
+    await unaryRequest(this._client, request, codes.ERR_CONN_MANAGER_TAG_PEER_FAILED, options)
+  }
+
+  /**
+   * Remove a tag previously added to a peer.
+   *
+   * @param {PeerId} peerId
+   * @param {string} tag
+   * @param {RequestOptions} [options]
+   */
+  async untagPeer (peerId, tag, options = {}) {
+    if (!PeerID.isPeerId(peerId)) {
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
+    }
+
+    if (typeof tag !== 'string') {
+      throw errcode(new Error('invalid tag received'), codes.ERR_INVALID_TAG)
+    }
+
+    const request = {
+      type: Request.Type.CONNMANAGER,
+      connManager: {
+        type: ConnManagerRequest.Type.UNTAG_PEER,
+        peer: peerId.toBytes(),
+        tag
+      }
+    }
+
+    await unaryRequest(this._client, request, codes.ERR_CONN_MANAGER_UNTAG_PEER_FAILED, options)
+  }
+
+  /**
+   * Ask the connection manager to trim open connections down to its low watermark.
+   *
+   * @param {RequestOptions} [options]
+   */
+  async trim (options = {}) {
+    const request = {
+      type: Request.Type.CONNMANAGER,
+      connManager: {
+        type: ConnManagerRequest.Type.TRIM
+      }
+    }
+
+    await unaryRequest(this._client, request, codes.ERR_CONN_MANAGER_TRIM_FAILED, options)
+  }
+}
+
+module.exports = ConnManager
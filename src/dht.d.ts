@@ -0,0 +1,52 @@
+import PeerId = require('peer-id')
+import { CID } from 'multiformats/cid'
+import Client = require('./index')
+
+declare class DHT {
+  constructor (client: Client)
+
+  /**
+   * Write a value to a key in the DHT
+   */
+  put (key: Uint8Array, value: Uint8Array, options?: Client.RequestOptions): Promise<void>
+
+  /**
+   * Query the DHT for a value stored at a key in the DHT
+   */
+  get (key: Uint8Array, options?: Client.RequestOptions): Promise<Uint8Array>
+
+  /**
+   * Query the DHT for the best value stored at a key, yielding each better value as it is found
+   */
+  searchValue (key: Uint8Array, options?: Client.RequestOptions): AsyncGenerator<Uint8Array, void, undefined>
+
+  /**
+   * Query the DHT for a given peer's known addresses
+   */
+  findPeer (peerId: PeerId, options?: Client.RequestOptions): Promise<Client.PeerInfo>
+
+  /**
+   * Announce to the network that the peer have data addressed by the provided CID
+   */
+  provide (cid: CID, options?: Client.RequestOptions): Promise<void>
+
+  /**
+   * Query the DHT for peers that have a piece of content, identified by a CID
+   *
+   * @param count - number of results to include (default: 1)
+   */
+  findProviders (cid: CID, count?: number, options?: Client.RequestOptions): AsyncGenerator<Client.PeerInfo, void, undefined>
+
+  /**
+   * Query the DHT routing table for peers that are closest to a provided key
+   */
+  getClosestPeers (key: Uint8Array, options?: Client.RequestOptions): AsyncGenerator<{ id: PeerId }, void, undefined>
+
+  /**
+   * Query the DHT routing table for a given peer's public key, rejects with
+   * an `ERR_PUBLIC_KEY_MISMATCH` error if the peer id does not derive from it
+   */
+  getPublicKey (peerId: PeerId, options?: Client.RequestOptions): Promise<PeerId['pubKey']>
+}
+
+export = DHT
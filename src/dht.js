@@ -3,14 +3,23 @@
 const { CID } = require('multiformats/cid')
 const PeerID = require('peer-id')
 const { Multiaddr } = require('multiaddr')
+const debug = require('debug')
 const errcode = require('err-code')
 
 const {
   Request,
-  Response,
-  DHTRequest,
-  DHTResponse
+  DHTRequest
 } = require('libp2p-daemon/src/protocol')
+const { codes, daemonError } = require('./errors')
+const { unaryRequest, streamRequest } = require('./request')
+
+const log = debug('libp2p:daemon-client:dht')
+
+/**
+ * @typedef {Object} PeerInfo
+ * @property {PeerId} id
+ * @property {Array<Multiaddr>} addrs
+ */
 
 class DHT {
   /**
@@ -26,94 +35,103 @@ class DHT {
    *
    * @param {Uint8Array} key
    * @param {Uint8Array} value
+   * @param {RequestOptions} [options]
    */
-  async put (key, value) {
+  async put (key, value, options = {}) {
     if (!(key instanceof Uint8Array)) {
-      throw errcode(new Error('invalid key received'), 'ERR_INVALID_KEY')
+      throw errcode(new Error('invalid key received'), codes.ERR_INVALID_KEY)
     }
 
     if (!(value instanceof Uint8Array)) {
-      throw errcode(new Error('value received is not a Uint8Array'), 'ERR_INVALID_VALUE')
+      throw errcode(new Error('value received is not a Uint8Array'), codes.ERR_INVALID_VALUE)
     }
 
-    const sh = await this._client.send({
+    const request = {
       type: Request.Type.DHT,
       dht: {
         type: DHTRequest.Type.PUT_VALUE,
         key,
         value
       }
-    })
-
-    const message = await sh.read()
-    const response = Response.decode(message)
-
-    await sh.close()
-
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_DHT_PUT_FAILED')
     }
+
+    await unaryRequest(this._client, request, codes.ERR_DHT_PUT_FAILED, options)
   }
 
   /**
    * Query the DHT for a value stored at a key in the DHT.
    *
    * @param {Uint8Array} key
+   * @param {RequestOptions} [options]
    * @returns {Uint8Array}
    */
-  async get (key) {
+  async get (key, options = {}) {
     if (!(key instanceof Uint8Array)) {
-      throw errcode(new Error('invalid key received'), 'ERR_INVALID_KEY')
+      throw errcode(new Error('invalid key received'), codes.ERR_INVALID_KEY)
     }
 
-    const sh = await this._client.send({
+    const request = {
       type: Request.Type.DHT,
       dht: {
         type: DHTRequest.Type.GET_VALUE,
         key
       }
-    })
+    }
 
-    const message = await sh.read()
-    const response = Response.decode(message)
+    const response = await unaryRequest(this._client, request, codes.ERR_DHT_GET_FAILED, options)
 
-    await sh.close()
+    return response.dht.value
+  }
+
+  /**
+   * Query the DHT for the best value stored at a key, yielding each
+   * better value as it is found.
+   *
+   * @param {Uint8Array} key
+   * @param {RequestOptions} [options]
+   * @returns {AsyncIterator<Uint8Array>}
+   */
+  async * searchValue (key, options = {}) {
+    if (!(key instanceof Uint8Array)) {
+      throw errcode(new Error('invalid key received'), codes.ERR_INVALID_KEY)
+    }
 
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_DHT_GET_FAILED')
+    const request = {
+      type: Request.Type.DHT,
+      dht: {
+        type: DHTRequest.Type.SEARCH_VALUE,
+        key
+      }
     }
 
-    return response.dht.value
+    for await (const response of streamRequest(this._client, request, codes.ERR_DHT_SEARCH_VALUE_FAILED, options)) {
+      yield response.value
+    }
   }
 
   /**
    * Query the DHT for a given peer's known addresses.
    *
    * @param {PeerId} peerId
+   * @param {RequestOptions} [options]
    * @returns {PeerInfo}
    */
-  async findPeer (peerId) {
+  async findPeer (peerId, options = {}) {
     if (!PeerID.isPeerId(peerId)) {
-      throw errcode(new Error('invalid peer id received'), 'ERR_INVALID_PEER_ID')
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
     }
 
-    const sh = await this._client.send({
+    const request = {
       type: Request.Type.DHT,
       dht: {
         type: DHTRequest.Type.FIND_PEER,
         peer: peerId.toBytes()
       }
-    })
-
-    const message = await sh.read()
-    const response = Response.decode(message)
-
-    await sh.close()
-
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_DHT_FIND_PEER_FAILED')
     }
 
+    log('finding peer %s', peerId.toB58String())
+    const response = await unaryRequest(this._client, request, codes.ERR_DHT_FIND_PEER_FAILED, options)
+
     return {
       id: PeerID.createFromBytes(response.dht.peer.id),
       addrs: response.dht.peer.addrs.map((a) => new Multiaddr(a))
@@ -124,29 +142,24 @@ class DHT {
    * Announce to the network that the peer have data addressed by the provided CID
    *
    * @param {CID} cid
+   * @param {RequestOptions} [options]
    */
-  async provide (cid) {
+  async provide (cid, options = {}) {
     cid = CID.asCID(cid)
     if (!cid) {
-      throw errcode(new Error('invalid cid received'), 'ERR_INVALID_CID')
+      throw errcode(new Error('invalid cid received'), codes.ERR_INVALID_CID)
     }
 
-    const sh = await this._client.send({
+    const request = {
       type: Request.Type.DHT,
       dht: {
         type: DHTRequest.Type.PROVIDE,
         cid: cid.bytes
       }
-    })
-
-    const message = await sh.read()
-    const response = Response.decode(message)
-
-    await sh.close()
-
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_DHT_PROVIDE_FAILED')
     }
+
+    log('providing %s', cid)
+    await unaryRequest(this._client, request, codes.ERR_DHT_PROVIDE_FAILED, options)
   }
 
   /**
@@ -154,54 +167,34 @@ class DHT {
    *
    * @param {CID} cid
    * @param {number} count - number or results to include (default: 1)
-   * @returns {Array<PeerInfo>}
+   * @param {RequestOptions} [options]
+   * @returns {AsyncIterator<PeerInfo>}
    */
-  async * findProviders (cid, count = 1) {
+  async * findProviders (cid, count = 1, options = {}) {
     cid = CID.asCID(cid)
 
     if (!cid) {
-      throw errcode(new Error('invalid cid received'), 'ERR_INVALID_CID')
+      throw errcode(new Error('invalid cid received'), codes.ERR_INVALID_CID)
     }
 
-    const sh = await this._client.send({
+    const request = {
       type: Request.Type.DHT,
       dht: {
         type: DHTRequest.Type.FIND_PROVIDERS,
         cid: cid.bytes,
         count
       }
-    })
-
-    let message = await sh.read()
-
-    // stream begin message
-    let response = Response.decode(message)
-
-    if (response.type !== Response.Type.OK) {
-      await sh.close()
-      throw errcode(new Error(response.error.msg), 'ERR_DHT_FIND_PROVIDERS_FAILED')
     }
 
-    while (true) {
-      message = await sh.read()
-      response = DHTResponse.decode(message)
+    log('finding providers of %s', cid)
 
-      // Stream end
-      if (response.type === DHTResponse.Type.END) {
-        await sh.close()
-        return
-      }
+    for await (const response of streamRequest(this._client, request, codes.ERR_DHT_FIND_PROVIDERS_FAILED, options)) {
+      const id = PeerID.createFromBytes(response.peer.id)
+      log('found provider %s of %s', id.toB58String(), cid)
 
-      // Stream values
-      if (response.type === DHTResponse.Type.VALUE) {
-        yield {
-          id: PeerID.createFromBytes(response.peer.id),
-          addrs: response.peer.addrs.map((a) => new Multiaddr(a))
-        }
-      } else {
-        // Unexpected message received
-        await sh.close()
-        throw errcode(new Error('unexpected message received'), 'ERR_UNEXPECTED_MESSAGE_RECEIVED')
+      yield {
+        id,
+        addrs: response.peer.addrs.map((a) => new Multiaddr(a))
       }
     }
   }
@@ -210,82 +203,68 @@ class DHT {
    * Query the DHT routing table for peers that are closest to a provided key.
    *
    * @param {Uint8Array} key
-   * @returns {Array<PeerInfo>}
+   * @param {RequestOptions} [options]
+   * @returns {AsyncIterator<{id: PeerId}>}
    */
-  async * getClosestPeers (key) {
+  async * getClosestPeers (key, options = {}) {
     if (!(key instanceof Uint8Array)) {
-      throw errcode(new Error('invalid key received'), 'ERR_INVALID_KEY')
+      throw errcode(new Error('invalid key received'), codes.ERR_INVALID_KEY)
     }
 
-    const sh = await this._client.send({
+    const request = {
       type: Request.Type.DHT,
       dht: {
         type: DHTRequest.Type.GET_CLOSEST_PEERS,
         key
       }
-    })
-
-    // stream begin message
-    let message = await sh.read()
-    let response = Response.decode(message)
-
-    if (response.type !== Response.Type.OK) {
-      await sh.close()
-      throw errcode(new Error(response.error.msg), 'ERR_DHT_FIND_PROVIDERS_FAILED')
     }
 
-    while (true) {
-      message = await sh.read()
-      response = DHTResponse.decode(message)
-
-      // Stream end
-      if (response.type === DHTResponse.Type.END) {
-        await sh.close()
-        return
-      }
-
-      // Stream values
-      if (response.type === DHTResponse.Type.VALUE) {
-        const peerId = PeerID.createFromBytes(response.value)
+    for await (const response of streamRequest(this._client, request, codes.ERR_DHT_GET_CLOSEST_PEERS_FAILED, options)) {
+      const peerId = PeerID.createFromBytes(response.value)
+      log('found closest peer %s', peerId.toB58String())
 
-        yield { id: peerId }
-      } else {
-        // Unexpected message received
-        await sh.close()
-        throw errcode(new Error('unexpected message received'), 'ERR_UNEXPECTED_MESSAGE_RECEIVED')
-      }
+      yield { id: peerId }
     }
   }
 
   /**
-   * Query the DHT routing table for a given peer's public key.
+   * Query the DHT routing table for a given peer's public key. The key is
+   * only returned if the peer id derives from it.
    *
    * @param {PeerId} peerId
+   * @param {RequestOptions} [options]
    * @returns {PublicKey}
    */
-  async getPublicKey (peerId) {
+  async getPublicKey (peerId, options = {}) {
     if (!PeerID.isPeerId(peerId)) {
-      throw errcode(new Error('invalid peer id received'), 'ERR_INVALID_PEER_ID')
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
     }
 
-    const sh = await this._client.send({
+    const request = {
       type: Request.Type.DHT,
       dht: {
         type: DHTRequest.Type.GET_PUBLIC_KEY,
         peer: peerId.toBytes()
       }
-    })
+    }
 
-    const message = await sh.read()
-    const response = Response.decode(message)
+    log('getting the public key of %s', peerId.toB58String())
+    const response = await unaryRequest(this._client, request, codes.ERR_DHT_GET_PUBLIC_KEY_FAILED, options)
 
-    await sh.close()
+    let keyPeerId
+    try {
+      keyPeerId = await PeerID.createFromPubKey(response.dht.value)
+    } catch (err) {
+      throw daemonError(codes.ERR_DHT_GET_PUBLIC_KEY_FAILED, request, {
+        cause: errcode(err, codes.ERR_INVALID_RESPONSE)
+      })
+    }
 
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_DHT_GET_PUBLIC_KEY_FAILED')
+    if (!keyPeerId.equals(peerId)) {
+      throw errcode(new Error('public key does not match the peer id'), codes.ERR_PUBLIC_KEY_MISMATCH)
     }
 
-    return response.dht.value
+    return keyPeerId.pubKey
   }
 }
 
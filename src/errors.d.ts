@@ -0,0 +1,135 @@
+import type { DaemonRequest, DaemonResponse } from './index'
+
+/**
+ * Codes of the errors thrown by the client. Errors caused by the daemon
+ * carry the code of the method that failed, e.g. `ERR_DHT_GET_FAILED`.
+ */
+export const codes: {
+  // invalid arguments
+  readonly ERR_INVALID_PEER_ID: 'ERR_INVALID_PEER_ID'
+  readonly ERR_INVALID_ADDRS_TYPE: 'ERR_INVALID_ADDRS_TYPE'
+  readonly ERR_NO_MULTIADDR_RECEIVED: 'ERR_NO_MULTIADDR_RECEIVED'
+  readonly ERR_INVALID_MULTIADDR: 'ERR_INVALID_MULTIADDR'
+  readonly ERR_INVALID_PROTOCOL: 'ERR_INVALID_PROTOCOL'
+  readonly ERR_INVALID_HANDLER: 'ERR_INVALID_HANDLER'
+  readonly ERR_INVALID_KEY: 'ERR_INVALID_KEY'
+  readonly ERR_INVALID_VALUE: 'ERR_INVALID_VALUE'
+  readonly ERR_INVALID_CID: 'ERR_INVALID_CID'
+  readonly ERR_INVALID_TOPIC: 'ERR_INVALID_TOPIC'
+  readonly ERR_INVALID_DATA: 'ERR_INVALID_DATA'
+  readonly ERR_INVALID_TAG: 'ERR_INVALID_TAG'
+  readonly ERR_INVALID_WEIGHT: 'ERR_INVALID_WEIGHT'
+  readonly ERR_INVALID_TIMEOUT: 'ERR_INVALID_TIMEOUT'
+  readonly ERR_INVALID_INTERVAL: 'ERR_INVALID_INTERVAL'
+  readonly ERR_INVALID_POOL_SIZE: 'ERR_INVALID_POOL_SIZE'
+  readonly ERR_INVALID_IDLE_TIMEOUT: 'ERR_INVALID_IDLE_TIMEOUT'
+  readonly ERR_INVALID_RETRY_OPTIONS: 'ERR_INVALID_RETRY_OPTIONS'
+  readonly ERR_INVALID_MIDDLEWARE: 'ERR_INVALID_MIDDLEWARE'
+  readonly ERR_INVALID_METRICS_OPTIONS: 'ERR_INVALID_METRICS_OPTIONS'
+  readonly ERR_INVALID_NETWORK_OPTIONS: 'ERR_INVALID_NETWORK_OPTIONS'
+  readonly ERR_INVALID_REQUEST_TYPE: 'ERR_INVALID_REQUEST_TYPE'
+
+  // requests
+  readonly ERR_ABORTED: 'ERR_ABORTED'
+  readonly ERR_TIMEOUT: 'ERR_TIMEOUT'
+  readonly ERR_EMPTY_RESPONSE: 'ERR_EMPTY_RESPONSE'
+  readonly ERR_INVALID_RESPONSE: 'ERR_INVALID_RESPONSE'
+  readonly ERR_UNEXPECTED_MESSAGE_RECEIVED: 'ERR_UNEXPECTED_MESSAGE_RECEIVED'
+  readonly ERR_PUBLIC_KEY_MISMATCH: 'ERR_PUBLIC_KEY_MISMATCH'
+
+  // daemons started by the client
+  readonly ERR_DAEMON_START_FAILED: 'ERR_DAEMON_START_FAILED'
+  readonly ERR_NOT_SETTLED: 'ERR_NOT_SETTLED'
+
+  // daemon failures
+  readonly ERR_CONNECT_FAILED: 'ERR_CONNECT_FAILED'
+  readonly ERR_DISCONNECT_FAILED: 'ERR_DISCONNECT_FAILED'
+  readonly ERR_IDENTIFY_FAILED: 'ERR_IDENTIFY_FAILED'
+  readonly ERR_LIST_PEERS_FAILED: 'ERR_LIST_PEERS_FAILED'
+  readonly ERR_OPEN_STREAM_FAILED: 'ERR_OPEN_STREAM_FAILED'
+  readonly ERR_REGISTER_STREAM_HANDLER_FAILED: 'ERR_REGISTER_STREAM_HANDLER_FAILED'
+  readonly ERR_DHT_PUT_FAILED: 'ERR_DHT_PUT_FAILED'
+  readonly ERR_DHT_GET_FAILED: 'ERR_DHT_GET_FAILED'
+  readonly ERR_DHT_SEARCH_VALUE_FAILED: 'ERR_DHT_SEARCH_VALUE_FAILED'
+  readonly ERR_DHT_FIND_PEER_FAILED: 'ERR_DHT_FIND_PEER_FAILED'
+  readonly ERR_DHT_PROVIDE_FAILED: 'ERR_DHT_PROVIDE_FAILED'
+  readonly ERR_DHT_FIND_PROVIDERS_FAILED: 'ERR_DHT_FIND_PROVIDERS_FAILED'
+  readonly ERR_DHT_GET_CLOSEST_PEERS_FAILED: 'ERR_DHT_GET_CLOSEST_PEERS_FAILED'
+  readonly ERR_DHT_GET_PUBLIC_KEY_FAILED: 'ERR_DHT_GET_PUBLIC_KEY_FAILED'
+  readonly ERR_CONN_MANAGER_TAG_PEER_FAILED: 'ERR_CONN_MANAGER_TAG_PEER_FAILED'
+  readonly ERR_CONN_MANAGER_UNTAG_PEER_FAILED: 'ERR_CONN_MANAGER_UNTAG_PEER_FAILED'
+  readonly ERR_CONN_MANAGER_TRIM_FAILED: 'ERR_CONN_MANAGER_TRIM_FAILED'
+  readonly ERR_PEERSTORE_GET_PROTOCOLS_FAILED: 'ERR_PEERSTORE_GET_PROTOCOLS_FAILED'
+  readonly ERR_PEERSTORE_GET_PEER_INFO_FAILED: 'ERR_PEERSTORE_GET_PEER_INFO_FAILED'
+  readonly ERR_PUBSUB_GET_TOPICS_FAILED: 'ERR_PUBSUB_GET_TOPICS_FAILED'
+  readonly ERR_PUBSUB_LIST_PEERS_FAILED: 'ERR_PUBSUB_LIST_PEERS_FAILED'
+  readonly ERR_PUBSUB_PUBLISH_FAILED: 'ERR_PUBSUB_PUBLISH_FAILED'
+  readonly ERR_PUBSUB_SUBSCRIBE_FAILED: 'ERR_PUBSUB_SUBSCRIBE_FAILED'
+
+  // pubsub messages
+  readonly ERR_MISSING_SIGNATURE: 'ERR_MISSING_SIGNATURE'
+  readonly ERR_INVALID_SIGNATURE: 'ERR_INVALID_SIGNATURE'
+}
+
+/**
+ * Any of the codes of the errors thrown by the client
+ */
+export type ErrorCode = typeof codes[keyof typeof codes]
+
+/**
+ * An error thrown by the client. Errors of the connection to the daemon, such
+ * as `ECONNREFUSED`, keep the code of the system error.
+ */
+export interface ClientError extends Error {
+  code: string
+}
+
+/**
+ * The error of a request the daemon did not complete
+ */
+export interface DaemonError extends ClientError {
+  /**
+   * The code of the method that failed, e.g. `ERR_DHT_GET_FAILED`
+   */
+  code: ErrorCode
+  /**
+   * The message of the daemon, if it sent one
+   */
+  daemonMessage?: string
+  /**
+   * Type of the request, e.g. `IDENTIFY` or `DHT.GET_VALUE`
+   */
+  requestType: string
+  /**
+   * The error the failure originates from, with code `ERR_EMPTY_RESPONSE` or `ERR_INVALID_RESPONSE`
+   */
+  cause?: Error
+}
+
+/**
+ * A protocol message type of the daemon, e.g. `Response` or `DHTResponse`
+ */
+export interface MessageType {
+  decode: (bytes: Uint8Array) => any
+}
+
+/**
+ * Name of the type of a request, including the type of its sub request,
+ * e.g. `IDENTIFY` or `DHT.GET_VALUE`
+ */
+export function requestType (request: DaemonRequest): string
+
+/**
+ * Create the error of a request the daemon did not complete
+ */
+export function daemonError (code: ErrorCode, request: DaemonRequest, options?: { response?: DaemonResponse, cause?: Error }): DaemonError
+
+/**
+ * Decode a message read from the daemon, throwing if there is none or it does not decode
+ */
+export function decodeMessage (type: MessageType, message: Uint8Array | undefined, request: DaemonRequest, code: ErrorCode): any
+
+/**
+ * Decode the response to a request, throwing if the daemon reported an error
+ */
+export function decodeResponse (message: Uint8Array | undefined, request: DaemonRequest, code: ErrorCode): DaemonResponse
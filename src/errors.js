@@ -0,0 +1,185 @@
+'use strict'
+
+const errcode = require('err-code')
+
+const {
+  Request,
+  Response,
+  DHTRequest,
+  PSRequest,
+  ConnManagerRequest,
+  PeerstoreRequest
+} = require('libp2p-daemon/src/protocol')
+
+/**
+ * Codes of the errors thrown by the client. Errors caused by the daemon
+ * carry the code of the method that failed, e.g. `ERR_DHT_GET_FAILED`.
+ * New codes are declared in `errors.d.ts` too.
+ */
+const codes = {
+  // invalid arguments
+  ERR_INVALID_PEER_ID: 'ERR_INVALID_PEER_ID',
+  ERR_INVALID_ADDRS_TYPE: 'ERR_INVALID_ADDRS_TYPE',
+  ERR_NO_MULTIADDR_RECEIVED: 'ERR_NO_MULTIADDR_RECEIVED',
+  ERR_INVALID_MULTIADDR: 'ERR_INVALID_MULTIADDR',
+  ERR_INVALID_PROTOCOL: 'ERR_INVALID_PROTOCOL',
+  ERR_INVALID_HANDLER: 'ERR_INVALID_HANDLER',
+  ERR_INVALID_KEY: 'ERR_INVALID_KEY',
+  ERR_INVALID_VALUE: 'ERR_INVALID_VALUE',
+  ERR_INVALID_CID: 'ERR_INVALID_CID',
+  ERR_INVALID_TOPIC: 'ERR_INVALID_TOPIC',
+  ERR_INVALID_DATA: 'ERR_INVALID_DATA',
+  ERR_INVALID_TAG: 'ERR_INVALID_TAG',
+  ERR_INVALID_WEIGHT: 'ERR_INVALID_WEIGHT',
+  ERR_INVALID_TIMEOUT: 'ERR_INVALID_TIMEOUT',
+  ERR_INVALID_INTERVAL: 'ERR_INVALID_INTERVAL',
+  ERR_INVALID_POOL_SIZE: 'ERR_INVALID_POOL_SIZE',
+  ERR_INVALID_IDLE_TIMEOUT: 'ERR_INVALID_IDLE_TIMEOUT',
+  ERR_INVALID_RETRY_OPTIONS: 'ERR_INVALID_RETRY_OPTIONS',
+  ERR_INVALID_MIDDLEWARE: 'ERR_INVALID_MIDDLEWARE',
+  ERR_INVALID_METRICS_OPTIONS: 'ERR_INVALID_METRICS_OPTIONS',
+  ERR_INVALID_NETWORK_OPTIONS: 'ERR_INVALID_NETWORK_OPTIONS',
+  ERR_INVALID_REQUEST_TYPE: 'ERR_INVALID_REQUEST_TYPE',
+
+  // requests
+  ERR_ABORTED: 'ERR_ABORTED',
+  ERR_TIMEOUT: 'ERR_TIMEOUT',
+  ERR_EMPTY_RESPONSE: 'ERR_EMPTY_RESPONSE',
+  ERR_INVALID_RESPONSE: 'ERR_INVALID_RESPONSE',
+  ERR_UNEXPECTED_MESSAGE_RECEIVED: 'ERR_UNEXPECTED_MESSAGE_RECEIVED',
+  ERR_PUBLIC_KEY_MISMATCH: 'ERR_PUBLIC_KEY_MISMATCH',
+
+  // daemons started by the client
+  ERR_DAEMON_START_FAILED: 'ERR_DAEMON_START_FAILED',
+  ERR_NOT_SETTLED: 'ERR_NOT_SETTLED',
+
+  // daemon failures
+  ERR_CONNECT_FAILED: 'ERR_CONNECT_FAILED',
+  ERR_DISCONNECT_FAILED: 'ERR_DISCONNECT_FAILED',
+  ERR_IDENTIFY_FAILED: 'ERR_IDENTIFY_FAILED',
+  ERR_LIST_PEERS_FAILED: 'ERR_LIST_PEERS_FAILED',
+  ERR_OPEN_STREAM_FAILED: 'ERR_OPEN_STREAM_FAILED',
+  ERR_REGISTER_STREAM_HANDLER_FAILED: 'ERR_REGISTER_STREAM_HANDLER_FAILED',
+  ERR_DHT_PUT_FAILED: 'ERR_DHT_PUT_FAILED',
+  ERR_DHT_GET_FAILED: 'ERR_DHT_GET_FAILED',
+  ERR_DHT_SEARCH_VALUE_FAILED: 'ERR_DHT_SEARCH_VALUE_FAILED',
+  ERR_DHT_FIND_PEER_FAILED: 'ERR_DHT_FIND_PEER_FAILED',
+  ERR_DHT_PROVIDE_FAILED: 'ERR_DHT_PROVIDE_FAILED',
+  ERR_DHT_FIND_PROVIDERS_FAILED: 'ERR_DHT_FIND_PROVIDERS_FAILED',
+  ERR_DHT_GET_CLOSEST_PEERS_FAILED: 'ERR_DHT_GET_CLOSEST_PEERS_FAILED',
+  ERR_DHT_GET_PUBLIC_KEY_FAILED: 'ERR_DHT_GET_PUBLIC_KEY_FAILED',
+  ERR_CONN_MANAGER_TAG_PEER_FAILED: 'ERR_CONN_MANAGER_TAG_PEER_FAILED',
+  ERR_CONN_MANAGER_UNTAG_PEER_FAILED: 'ERR_CONN_MANAGER_UNTAG_PEER_FAILED',
+  ERR_CONN_MANAGER_TRIM_FAILED: 'ERR_CONN_MANAGER_TRIM_FAILED',
+  ERR_PEERSTORE_GET_PROTOCOLS_FAILED: 'ERR_PEERSTORE_GET_PROTOCOLS_FAILED',
+  ERR_PEERSTORE_GET_PEER_INFO_FAILED: 'ERR_PEERSTORE_GET_PEER_INFO_FAILED',
+  ERR_PUBSUB_GET_TOPICS_FAILED: 'ERR_PUBSUB_GET_TOPICS_FAILED',
+  ERR_PUBSUB_LIST_PEERS_FAILED: 'ERR_PUBSUB_LIST_PEERS_FAILED',
+  ERR_PUBSUB_PUBLISH_FAILED: 'ERR_PUBSUB_PUBLISH_FAILED',
+  ERR_PUBSUB_SUBSCRIBE_FAILED: 'ERR_PUBSUB_SUBSCRIBE_FAILED',
+
+  // pubsub messages
+  ERR_MISSING_SIGNATURE: 'ERR_MISSING_SIGNATURE',
+  ERR_INVALID_SIGNATURE: 'ERR_INVALID_SIGNATURE'
+}
+
+// request fields holding the sub request of a request type
+const subRequests = {
+  [Request.Type.DHT]: ['dht', DHTRequest.Type],
+  [Request.Type.PUBSUB]: ['pubsub', PSRequest.Type],
+  [Request.Type.CONNMANAGER]: ['connManager', ConnManagerRequest.Type],
+  [Request.Type.PEERSTORE]: ['peerStore', PeerstoreRequest.Type]
+}
+
+const nameOf = (types, type) => Object.keys(types).find((name) => types[name] === type)
+
+/**
+ * Name of the type of a request, including the type of its sub request,
+ * e.g. `IDENTIFY` or `DHT.GET_VALUE`
+ *
+ * @param {Request} request
+ * @returns {string}
+ */
+function requestType (request) {
+  const name = nameOf(Request.Type, request.type)
+  const sub = subRequests[request.type]
+
+  if (!sub || !request[sub[0]]) {
+    return name
+  }
+
+  return `${name}.${nameOf(sub[1], request[sub[0]].type)}`
+}
+
+/**
+ * Create the error of a request the daemon did not complete. The message is
+ * the one sent by the daemon, if any, and kept as `daemonMessage`.
+ *
+ * @param {string} code - code of the failed method
+ * @param {Request} request - the request sent to the daemon
+ * @param {Object} [options]
+ * @param {Response} [options.response] - the error response of the daemon
+ * @param {Error} [options.cause] - the error the failure originates from
+ * @returns {Error}
+ */
+function daemonError (code, request, { response, cause } = {}) {
+  const daemonMessage = (response && response.error && response.error.msg) || undefined
+
+  return errcode(new Error(daemonMessage || 'unspecified'), code, {
+    daemonMessage,
+    requestType: requestType(request),
+    cause
+  })
+}
+
+/**
+ * Decode a message read from the daemon. A read that ended the connection
+ * without a message, or one that does not decode, fails the request.
+ *
+ * @param {*} type - protocol message type, e.g. `Response` or `DHTResponse`
+ * @param {Uint8Array|undefined} message
+ * @param {Request} request - the request sent to the daemon
+ * @param {string} code - code of the failed method
+ * @returns {*} the decoded message
+ */
+function decodeMessage (type, message, request, code) {
+  if (!message || !message.length) {
+    throw daemonError(code, request, {
+      cause: errcode(new Error('the daemon closed the connection without a response'), codes.ERR_EMPTY_RESPONSE)
+    })
+  }
+
+  try {
+    return type.decode(message)
+  } catch (err) {
+    throw daemonError(code, request, {
+      cause: errcode(err, codes.ERR_INVALID_RESPONSE)
+    })
+  }
+}
+
+/**
+ * Decode the response to a request, throwing if the daemon reported an error
+ *
+ * @param {Uint8Array|undefined} message
+ * @param {Request} request - the request sent to the daemon
+ * @param {string} code - code of the failed method
+ * @returns {Response}
+ */
+function decodeResponse (message, request, code) {
+  const response = decodeMessage(Response, message, request, code)
+
+  if (response.type !== Response.Type.OK) {
+    throw daemonError(code, request, { response })
+  }
+
+  return response
+}
+
+module.exports = {
+  codes,
+  requestType,
+  daemonError,
+  decodeMessage,
+  decodeResponse
+}
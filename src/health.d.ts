@@ -0,0 +1,76 @@
+import PeerId = require('peer-id')
+import Client = require('./index')
+
+declare namespace Health {
+  interface HealthStatus {
+    /**
+     * Whether the check got an answer from the daemon
+     */
+    reachable: boolean
+    /**
+     * ms the check took, if it succeeded
+     */
+    latency?: number
+    /**
+     * Peer id of the daemon, if the check succeeded
+     */
+    peerId?: PeerId
+    /**
+     * Why the check failed
+     */
+    error?: Error
+  }
+
+  interface StartOptions {
+    /**
+     * ms between the end of a check and the start of the next one (default: 5000)
+     */
+    interval?: number
+    /**
+     * ms after which a check fails (default: the interval)
+     */
+    timeout?: number
+  }
+}
+
+/**
+ * Periodically identifies the daemon and emits `daemon:up`, `daemon:down`
+ * and `daemon:peer-id-changed` on the client
+ */
+declare class Health {
+  constructor (client: Client)
+
+  /**
+   * Whether the last check got an answer from the daemon, null until the first check completes
+   */
+  reachable: boolean | null
+  /**
+   * ms the last successful check took
+   */
+  latency: number | null
+  /**
+   * Peer id of the daemon as of the last successful check
+   */
+  peerId: PeerId | null
+  /**
+   * Whether checks run periodically
+   */
+  readonly running: boolean
+
+  /**
+   * Start checking the daemon, the first check runs right away
+   */
+  start (options?: Health.StartOptions): void
+
+  /**
+   * Stop checking the daemon, waiting for a check in progress to complete
+   */
+  stop (): Promise<void>
+
+  /**
+   * Identify the daemon once, update the status and emit its changes
+   */
+  check (options?: { timeout?: number }): Promise<Health.HealthStatus>
+}
+
+export = Health
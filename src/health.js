@@ -0,0 +1,140 @@
+'use strict'
+
+const debug = require('debug')
+const errcode = require('err-code')
+const { codes } = require('./errors')
+
+const log = debug('libp2p:daemon-client:health')
+
+/**
+ * @typedef {Object} HealthStatus
+ * @property {boolean} reachable - whether the last check got an answer from the daemon
+ * @property {number} [latency] - ms the last successful check took
+ * @property {PeerId} [peerId] - peer id of the daemon
+ * @property {Error} [error] - why the last check failed
+ */
+
+/**
+ * Periodically identifies the daemon and emits on the client when it becomes
+ * reachable (`daemon:up`), unreachable (`daemon:down`) or comes back with
+ * another peer id (`daemon:peer-id-changed`).
+ */
+class Health {
+  /**
+   * @class
+   * @param {Client} client - libp2p daemon client instance
+   */
+  constructor (client) {
+    this._client = client
+    this._timer = null
+    this._running = false
+
+    /** @type {boolean|null} null until the first check completes */
+    this.reachable = null
+    this.latency = null
+    this.peerId = null
+  }
+
+  /**
+   * Whether checks run periodically
+   *
+   * @returns {boolean}
+   */
+  get running () {
+    return this._running
+  }
+
+  /**
+   * Start checking the daemon, the first check runs right away.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.interval] - ms between the end of a check and the start of the next one (default: 5000)
+   * @param {number} [options.timeout] - ms after which a check fails (default: the interval)
+   */
+  start ({ interval = 5000, timeout = interval } = {}) {
+    if (typeof interval !== 'number' || interval <= 0) {
+      throw errcode(new Error('invalid interval received'), codes.ERR_INVALID_INTERVAL)
+    }
+
+    if (this._running) {
+      return
+    }
+
+    this._running = true
+    this._interval = interval
+    this._timeout = timeout
+
+    const run = async () => {
+      await this.check()
+
+      if (this._running) {
+        // kept as pending, so that stopping waits for it
+        this._timer = setTimeout(() => { this._pending = run() }, this._interval)
+      }
+    }
+
+    this._pending = run()
+  }
+
+  /**
+   * Stop checking the daemon, waiting for a check in progress to complete
+   *
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    this._running = false
+    clearTimeout(this._timer)
+    this._timer = null
+
+    await this._pending
+  }
+
+  /**
+   * Identify the daemon once, update the status and emit its changes
+   *
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - ms after which the check fails
+   * @returns {Promise<HealthStatus>}
+   */
+  async check ({ timeout = this._timeout } = {}) {
+    const start = Date.now()
+
+    let identity
+    try {
+      identity = await this._client.identify({ timeout, retry: false })
+    } catch (err) {
+      const wasReachable = this.reachable
+      this.reachable = false
+      this.latency = null
+
+      if (wasReachable !== false) {
+        log('the daemon is down: %s', err.message)
+        this._client.emit('daemon:down', { error: err })
+      }
+
+      return { reachable: false, error: err }
+    }
+
+    const latency = Date.now() - start
+    const wasReachable = this.reachable
+    const previous = this.peerId
+
+    this.reachable = true
+    this.latency = latency
+    this.peerId = identity.peerId
+
+    if (wasReachable !== true) {
+      log('the daemon %s is up', identity.peerId.toB58String())
+      this._client.emit('daemon:up', { peerId: identity.peerId, addrs: identity.addrs, latency })
+    }
+
+    if (previous && !previous.equals(identity.peerId)) {
+      log('the peer id of the daemon changed from %s to %s', previous.toB58String(), identity.peerId.toB58String())
+      this._client.emit('daemon:peer-id-changed', { previous, peerId: identity.peerId })
+    }
+
+    return { reachable: true, latency, peerId: identity.peerId }
+  }
+}
+
+module.exports = Health
@@ -0,0 +1,343 @@
+import { EventEmitter } from 'events'
+import PeerId = require('peer-id')
+import { Multiaddr } from 'multiaddr'
+import DHT = require('./dht')
+import ConnManager = require('./conn-manager')
+import Pubsub = require('./pubsub')
+import Peerstore = require('./peerstore')
+import Health = require('./health')
+import Metrics = require('./metrics')
+import { codes as errorCodes } from './errors'
+
+declare namespace Client {
+  /**
+   * Options accepted by every method that sends a request to the daemon
+   */
+  interface RequestOptions {
+    /**
+     * Aborts the request, which then rejects with an `ERR_ABORTED` error
+     */
+    signal?: AbortSignal
+    /**
+     * ms to wait for the request to complete, it rejects with an `ERR_TIMEOUT` error after that
+     */
+    timeout?: number
+    /**
+     * Overrides whether the client's retry policy applies to the request
+     */
+    retry?: boolean
+  }
+
+  interface PoolOptions {
+    /**
+     * Max number of pooled connections (default: 4)
+     */
+    maxSize?: number
+    /**
+     * ms after which an unused connection is closed (default: 30000)
+     */
+    idleTimeout?: number
+  }
+
+  interface RetryOptions {
+    /**
+     * Attempts including the first one (default: 3)
+     */
+    maxAttempts?: number
+    /**
+     * ms to wait before the first retry (default: 100)
+     */
+    minDelay?: number
+    /**
+     * Max ms to wait between attempts (default: 5000)
+     */
+    maxDelay?: number
+    /**
+     * Growth of the delay per attempt (default: 2)
+     */
+    factor?: number
+    /**
+     * Fraction of each delay that is randomized, between 0 and 1 (default: 0.5)
+     */
+    jitter?: number
+    /**
+     * Error codes that are retried (default: `ECONNREFUSED`, `ENOENT`)
+     */
+    codes?: string[]
+    /**
+     * Also retry requests that change state, such as publish and put (default: false)
+     */
+    nonIdempotent?: boolean
+  }
+
+  interface RestoreOptions {
+    /**
+     * ms between attempts to restore, and between health checks (default: 1000)
+     */
+    interval?: number
+  }
+
+  interface ClientOptions {
+    /**
+     * Reuse connections to the daemon for unary requests
+     */
+    pool?: boolean | PoolOptions
+    /**
+     * Retry requests when the daemon cannot be reached
+     */
+    retry?: boolean | RetryOptions
+    /**
+     * Restore stream handlers and subscriptions after the daemon restarts
+     */
+    restore?: boolean | RestoreOptions
+    /**
+     * Collect metrics of the requests, streams and subscriptions in `client.metrics`
+     */
+    metrics?: boolean | Metrics.MetricsOptions
+  }
+
+  /**
+   * A peer and its addresses
+   */
+  interface PeerInfo {
+    id: PeerId
+    addrs: Multiaddr[]
+  }
+
+  interface IdentifyResponse {
+    peerId: PeerId
+    addrs: Multiaddr[]
+  }
+
+  /**
+   * A chunk read from a stream, either a `Uint8Array` or a list of them
+   * which `slice()` concatenates
+   */
+  type Chunk = Uint8Array | { length: number, slice: () => Uint8Array }
+
+  /**
+   * A duplex iterable
+   */
+  interface Duplex {
+    source: AsyncIterable<Chunk>
+    sink: (source: AsyncIterable<Uint8Array> | Iterable<Uint8Array>) => Promise<void>
+  }
+
+  /**
+   * A connection to the daemon, or from the daemon to a listener of the client
+   */
+  interface MultiaddrConnection extends Duplex {
+    remoteAddr: Multiaddr
+    close: () => Promise<void>
+  }
+
+  /**
+   * An outbound stream along with the stream info the daemon opened it with
+   */
+  interface OutboundStream extends Duplex {
+    stream: Duplex
+    /**
+     * The remote peer
+     */
+    peerId: PeerId
+    /**
+     * The address of the remote peer the stream was opened over
+     */
+    remoteAddr: Multiaddr
+    /**
+     * The protocol negotiated with the remote peer
+     */
+    protocol: string
+  }
+
+  interface InboundStream {
+    /**
+     * The remote peer
+     */
+    peerId: PeerId
+    /**
+     * The address of the remote peer
+     */
+    addr: Multiaddr
+    /**
+     * The protocol negotiated for the stream
+     */
+    protocol: string
+    stream: Duplex
+  }
+
+  interface StreamHandler {
+    (stream: InboundStream): void | Promise<void>
+  }
+
+  interface HandleOptions extends RequestOptions {
+    /**
+     * Address to listen on, a fresh one is used by default
+     */
+    addr?: Multiaddr
+  }
+
+  /**
+   * A request sent to the daemon, a plain object protobuf encoded as a
+   * `Request` of the daemon protocol
+   */
+  interface DaemonRequest {
+    type: number
+    [field: string]: any
+  }
+
+  /**
+   * A decoded `Response` of the daemon protocol
+   */
+  interface DaemonResponse {
+    type: number
+    [field: string]: any
+  }
+
+  /**
+   * The connection of a request sent with `send`
+   */
+  interface RequestConnection {
+    read: () => Promise<Uint8Array | undefined>
+    write: (message: Uint8Array) => void
+    close: () => void
+  }
+
+  /**
+   * The context of a request, as seen by middleware
+   */
+  interface RequestContext {
+    /**
+     * The request sent to the daemon
+     */
+    request: DaemonRequest
+    /**
+     * The options of the call
+     */
+    options: RequestOptions
+    /**
+     * The decoded first response of the daemon
+     */
+    response: DaemonResponse | null
+    /**
+     * Why the request failed, once completed
+     */
+    error: Error | null
+    /**
+     * ms from sending the request until it completed
+     */
+    duration: number | null
+  }
+
+  interface Middleware {
+    (context: RequestContext, next: () => Promise<void>): void | Promise<void>
+  }
+
+  /**
+   * The events emitted by the client, and their payload
+   */
+  interface ClientEvents {
+    'daemon:up': { peerId: PeerId, addrs: Multiaddr[], latency: number }
+    'daemon:down': { error: Error }
+    'daemon:peer-id-changed': { previous: PeerId, peerId: PeerId }
+    'daemon:restored': { protocols: string[] }
+  }
+}
+
+declare class Client extends EventEmitter {
+  /**
+   * @param addr - Multiaddr for the client to connect to
+   */
+  constructor (addr: Multiaddr, options?: Client.ClientOptions)
+
+  /**
+   * Codes of the errors thrown by the client
+   */
+  static codes: typeof errorCodes
+
+  multiaddr: Multiaddr
+  dht: DHT
+  connManager: ConnManager
+  pubsub: Pubsub
+  peerstore: Peerstore
+  health: Health
+  /**
+   * Only set when created with the `metrics` option
+   */
+  metrics?: Metrics
+
+  /**
+   * Add a middleware that every request to the daemon goes through
+   */
+  use (fn: Client.Middleware): this
+
+  /**
+   * Connects to the daemon at the address the client was created with
+   */
+  connectDaemon (options?: { signal?: AbortSignal }): Promise<Client.MultiaddrConnection>
+
+  /**
+   * Starts a server listening at `addr`. New connections will be sent to the `connectionHandler`.
+   */
+  start (addr: Multiaddr, connectionHandler: (connection: Client.MultiaddrConnection) => void): Promise<void>
+
+  /**
+   * Sends the request to the daemon and returns its connection
+   */
+  send (request: Client.DaemonRequest, options?: Client.RequestOptions): Promise<Client.RequestConnection>
+
+  /**
+   * Closes the socket and ends the subscriptions of the client
+   */
+  close (): Promise<void>
+
+  /**
+   * Connect requests a connection to a known peer on a given set of addresses
+   */
+  connect (peerId: PeerId, addrs: Multiaddr[], options?: Client.RequestOptions): Promise<void>
+
+  /**
+   * Disconnect requests the daemon to close all connections to a peer
+   */
+  disconnect (peerId: PeerId, options?: Client.RequestOptions): Promise<void>
+
+  /**
+   * Identify queries the daemon for its peer ID and listen addresses
+   */
+  identify (options?: Client.RequestOptions): Promise<Client.IdentifyResponse>
+
+  /**
+   * Get a list of IDs of peers the node is connected to
+   */
+  listPeers (options?: Client.RequestOptions): Promise<PeerId[]>
+
+  /**
+   * Initiate an outbound stream to a peer on one of a set of protocols
+   *
+   * @param protocol - protocol, or protocols in order of preference
+   */
+  openStream (peerId: PeerId, protocol: string | string[], options?: Client.RequestOptions): Promise<Client.OutboundStream>
+
+  /**
+   * Register a handler for inbound streams on a given protocol
+   *
+   * @param protocol - protocol, or protocols in order of preference
+   */
+  registerStreamHandler (addr: Multiaddr, protocol: string | string[], options?: Client.RequestOptions): Promise<void>
+
+  /**
+   * Handle inbound streams on a given protocol
+   *
+   * @param protocol - protocol, or protocols in order of preference
+   */
+  handle (protocol: string | string[], handler: Client.StreamHandler, options?: Client.HandleOptions): Promise<void>
+
+  on<E extends keyof Client.ClientEvents> (event: E, listener: (event: Client.ClientEvents[E]) => void): this
+  on (event: string | symbol, listener: (...args: any[]) => void): this
+  once<E extends keyof Client.ClientEvents> (event: E, listener: (event: Client.ClientEvents[E]) => void): this
+  once (event: string | symbol, listener: (...args: any[]) => void): this
+  off<E extends keyof Client.ClientEvents> (event: E, listener: (event: Client.ClientEvents[E]) => void): this
+  off (event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+export = Client
@@ -1,28 +1,135 @@
 'use strict'
 
+const { EventEmitter } = require('events')
+const debug = require('debug')
 const errcode = require('err-code')
 
 const TCP = require('libp2p-tcp')
-const { Request, Response } = require('libp2p-daemon/src/protocol')
+const { Request, StreamInfo } = require('libp2p-daemon/src/protocol')
+const { codes, requestType } = require('./errors')
+const { unaryRequest, openRequest } = require('./request')
 const StreamHandler = require('libp2p-daemon/src/stream-handler')
 const PeerID = require('peer-id')
 const { Multiaddr } = require('multiaddr')
 
 const DHT = require('./dht')
+const ConnManager = require('./conn-manager')
 const Pubsub = require('./pubsub')
-const { passThroughUpgrader } = require('./util')
-
-class Client {
+const Peerstore = require('./peerstore')
+const Health = require('./health')
+const Metrics = require('./metrics')
+const RequestStreamHandler = require('./stream-handler')
+const RequestController = require('./util/abort')
+const { Pool, PooledRequest } = require('./pool')
+const { RetryPolicy, sleep } = require('./util/retry')
+const {
+  passThroughUpgrader,
+  createListenAddr,
+  toProtocols,
+  isUnaryRequest,
+  isIdempotentRequest,
+  isConnectionLost
+} = require('./util')
+
+const log = debug('libp2p:daemon-client')
+log.error = debug('libp2p:daemon-client:error')
+
+/**
+ * Options accepted by every method that sends a request to the daemon. When
+ * the signal aborts or the timeout elapses the connection to the daemon is
+ * torn down and the method rejects with an `ERR_ABORTED` or `ERR_TIMEOUT` error.
+ *
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal]
+ * @property {number} [timeout] - ms to wait for the request to complete
+ * @property {boolean} [retry] - overrides whether the client's retry policy applies to the request
+ */
+
+/**
+ * Emits `daemon:up`, `daemon:down` and `daemon:peer-id-changed` while
+ * `client.health` is checking the daemon, and `daemon:restored` once stream
+ * handlers were registered again after a restart when `restore` is enabled.
+ */
+class Client extends EventEmitter {
   /**
    * @class
    * @param {Multiaddr} addr - Multiaddr for the client to connect to
+   * @param {Object} [options]
+   * @param {boolean|Object} [options.pool] - reuse connections to the daemon for unary requests
+   * @param {number} [options.pool.maxSize] - max number of pooled connections (default: 4)
+   * @param {number} [options.pool.idleTimeout] - ms after which an unused connection is closed (default: 30s)
+   * @param {boolean|Object} [options.retry] - retry requests when the daemon cannot be reached, see `RetryPolicy`
+   * @param {boolean|Object} [options.restore] - restore stream handlers and subscriptions after the daemon restarts
+   * @param {number} [options.restore.interval] - ms between attempts to restore them, and between health checks (default: 1000)
+   * @param {boolean|Object} [options.metrics] - collect metrics of the requests, streams and subscriptions in `client.metrics`
+   * @param {Array<number>} [options.metrics.buckets] - upper bounds of the latency histogram buckets, in ms
    */
-  constructor (addr) {
+  constructor (addr, options = {}) {
+    super()
     this.multiaddr = addr
     this.tcp = new TCP({ upgrader: passThroughUpgrader })
 
+    if (options.pool) {
+      this._pool = new Pool({
+        ...(options.pool === true ? {} : options.pool),
+        connect: () => this.connectDaemon()
+      })
+    }
+
+    if (options.retry) {
+      this._retry = new RetryPolicy(options.retry === true ? {} : options.retry)
+    }
+
+    if (options.restore) {
+      const { interval = 1000 } = options.restore === true ? {} : options.restore
+      this._restore = { interval }
+
+      this.on('daemon:down', () => { this._daemonLost = true })
+      this.on('daemon:peer-id-changed', () => this._restoreRegistrations())
+    }
+
     this.dht = new DHT(this)
+    this.connManager = new ConnManager(this)
     this.pubsub = new Pubsub(this)
+    this.peerstore = new Peerstore(this)
+    this.health = new Health(this)
+
+    this._handlers = new Map()
+    // protocol -> { addr, protocols } of the stream handlers registered with the daemon
+    this._registrations = new Map()
+    // subscriptions that have not ended yet, unsubscribed once the client closes
+    this._subscriptions = new Set()
+    this._middleware = []
+
+    if (options.metrics) {
+      this.metrics = new Metrics(options.metrics === true ? {} : options.metrics)
+      this.use(this.metrics.middleware)
+    }
+
+    if (this._restore) {
+      this.use(this._restoreMiddleware.bind(this))
+    }
+  }
+
+  /**
+   * Add a middleware that every request to the daemon goes through, in the
+   * order they were added. It is called with the `RequestContext` of the
+   * request and `next`, which sends it and resolves once the request
+   * completed: once the daemon responded, the stream of a streaming request
+   * ended, or the daemon accepted a stream or subscription. `next` rejects if
+   * the request failed. An error thrown by a middleware fails the request.
+   *
+   * @param {function(RequestContext, function(): Promise<void>): Promise<void>} fn
+   * @returns {Client} the client
+   */
+  use (fn) {
+    if (typeof fn !== 'function') {
+      throw errcode(new Error('middleware must be a function'), codes.ERR_INVALID_MIDDLEWARE)
+    }
+
+    this._middleware.push(fn)
+
+    return this
   }
 
   /**
@@ -30,10 +137,13 @@ class Client {
    * was created with
    *
    * @async
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - aborts the dial and the resulting connection
    * @returns {MultiaddrConnection}
    */
-  connectDaemon () {
-    return this.tcp.dial(this.multiaddr)
+  connectDaemon (options = {}) {
+    log('dialing the daemon at %s', this.multiaddr)
+    return this.tcp.dial(this.multiaddr, options)
   }
 
   /**
@@ -45,9 +155,7 @@ class Client {
    * @returns {Promise}
    */
   async start (addr, connectionHandler) {
-    if (this.listener) {
-      await this.close()
-    }
+    await this._closeListener()
 
     this.listener = this.tcp.createListener(maConn => connectionHandler(maConn))
 
@@ -59,24 +167,117 @@ class Client {
    * should only be used when sending daemon requests.
    *
    * @param {Request} request - A plain request object that will be protobuf encoded
-   * @returns {StreamHandler}
+   * @param {RequestOptions} [options]
+   * @returns {RequestStreamHandler|PooledRequest}
    */
-  async send (request) {
-    const maConn = await this.connectDaemon()
+  async send (request, options = {}) {
+    const controller = new RequestController(options)
+
+    if (this._pool && isUnaryRequest(request)) {
+      let connection
+      try {
+        connection = await this._withRetry(request, options, controller, () => this._pool.acquire(controller.signal))
+      } catch (err) {
+        controller.dispose()
+        throw controller.error || err
+      }
 
-    const streamHandler = new StreamHandler({ stream: maConn })
+      if (controller.error) {
+        this._pool.release(connection)
+        throw controller.error
+      }
+
+      const pooledRequest = new PooledRequest({ pool: this._pool, connection, controller })
+      pooledRequest.write(Request.encode(request).finish())
+      return pooledRequest
+    }
+
+    let maConn
+    try {
+      maConn = await this._withRetry(request, options, controller, () => this.connectDaemon({ signal: controller.signal }))
+    } catch (err) {
+      controller.dispose()
+      throw controller.error || err
+    }
+
+    const streamHandler = new RequestStreamHandler({ stream: maConn, controller })
     streamHandler.write(Request.encode(request).finish())
     return streamHandler
   }
 
   /**
-   * Closes the socket
+   * Establish the connection for a request, retrying according to the retry
+   * policy while the daemon cannot be reached.
+   *
+   * @private
+   * @template T
+   * @param {Request} request
+   * @param {RequestOptions} options
+   * @param {RequestController} controller - controller of the request
+   * @param {function(): Promise<T>} connect
+   * @returns {Promise<T>}
+   */
+  async _withRetry (request, options, controller, connect) {
+    const policy = this._retry
+    const retry = options.retry != null
+      ? options.retry && Boolean(policy)
+      : Boolean(policy) && (policy.nonIdempotent || isIdempotentRequest(request))
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await connect()
+      } catch (err) {
+        if (!retry || controller.error || !policy.shouldRetry(err, attempt)) {
+          throw err
+        }
+
+        const delay = policy.delay(attempt)
+        log('could not reach the daemon for %s (%s), retrying in %dms', requestType(request), err.code, delay)
+        await sleep(delay, controller.signal)
+
+        if (controller.error) {
+          throw controller.error
+        }
+      }
+    }
+  }
+
+  /**
+   * Closes the socket and ends the subscriptions of the client
    *
    * @returns {Promise}
    */
   async close () {
-    this.listener && await this.listener.close()
+    log('closing')
+    await this.health.stop()
+
+    const subscriptions = new Set(this._subscriptions)
+    this._subscriptions.clear()
+    await Promise.all([...subscriptions].map((subscription) => subscription.unsubscribe()))
+
+    this._registrations.clear()
+    this._restoreController && this._restoreController.abort()
+    await this._restoring
+
+    await this._closeListener()
+
+    this._pool && await this._pool.close()
+
+    const handlers = new Set(this._handlers.values())
+    this._handlers.clear()
+    await Promise.all([...handlers].map(({ listener }) => listener.close()))
+  }
+
+  /**
+   * Close the listener started with `start`, if any
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _closeListener () {
+    const listener = this.listener
     this.listener = null
+    listener && await listener.close()
   }
 
   /**
@@ -84,42 +285,55 @@ class Client {
    *
    * @param {PeerId} peerId
    * @param {Array.<multiaddr>} addrs
+   * @param {RequestOptions} [options]
    */
-  async connect (peerId, addrs) {
+  async connect (peerId, addrs, options = {}) {
     if (!PeerID.isPeerId(peerId)) {
-      throw errcode(new Error('invalid peer id received'), 'ERR_INVALID_PEER_ID')
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
     }
 
     if (!Array.isArray(addrs)) {
-      throw errcode(new Error('addrs received are not in an array'), 'ERR_INVALID_ADDRS_TYPE')
+      throw errcode(new Error('addrs received are not in an array'), codes.ERR_INVALID_ADDRS_TYPE)
     }
 
     addrs.forEach((addr) => {
       if (!Multiaddr.isMultiaddr(addr)) {
-        throw errcode(new Error('received an address that is not a multiaddr'), 'ERR_NO_MULTIADDR_RECEIVED')
+        throw errcode(new Error('received an address that is not a multiaddr'), codes.ERR_NO_MULTIADDR_RECEIVED)
       }
     })
 
-    const sh = await this.send({
+    const request = {
       type: Request.Type.CONNECT,
       connect: {
         peer: peerId.toBytes(),
         addrs: addrs.map((a) => a.bytes)
       }
-    })
+    }
+
+    log('connecting to %s at %s', peerId.toB58String(), addrs.join(', '))
+    await unaryRequest(this, request, codes.ERR_CONNECT_FAILED, options)
+  }
 
-    const message = await sh.read()
-    if (!message) {
-      throw errcode(new Error('unspecified'), 'ERR_CONNECT_FAILED')
+  /**
+   * Disconnect requests the daemon to close all connections to a peer
+   *
+   * @param {PeerId} peerId
+   * @param {RequestOptions} [options]
+   */
+  async disconnect (peerId, options = {}) {
+    if (!PeerID.isPeerId(peerId)) {
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
     }
 
-    const response = Response.decode(message)
-    if (response.type !== Response.Type.OK) {
-      const errResponse = response.error || {}
-      throw errcode(new Error(errResponse.msg || 'unspecified'), 'ERR_CONNECT_FAILED')
+    const request = {
+      type: Request.Type.DISCONNECT,
+      disconnect: {
+        peer: peerId.toBytes()
+      }
     }
 
-    await sh.close()
+    log('disconnecting from %s', peerId.toB58String())
+    await unaryRequest(this, request, codes.ERR_DISCONNECT_FAILED, options)
   }
 
   /**
@@ -131,118 +345,315 @@ class Client {
   /**
    * Identify queries the daemon for its peer ID and listen addresses.
    *
+   * @param {RequestOptions} [options]
    * @returns {IdentifyResponse}
    */
-  async identify () {
-    const sh = await this.send({
+  async identify (options = {}) {
+    const request = {
       type: Request.Type.IDENTIFY
-    })
-
-    const message = await sh.read()
-    const response = Response.decode(message)
-
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_IDENTIFY_FAILED')
     }
 
+    const response = await unaryRequest(this, request, codes.ERR_IDENTIFY_FAILED, options)
+
     const peerId = PeerID.createFromBytes(response.identify.id)
     const addrs = response.identify.addrs.map((a) => new Multiaddr(a))
 
-    await sh.close()
-
     return ({ peerId, addrs })
   }
 
   /**
    * Get a list of IDs of peers the node is connected to.
    *
+   * @param {RequestOptions} [options]
    * @returns {Array.<PeerId>}
    */
-  async listPeers () {
-    const sh = await this.send({
+  async listPeers (options = {}) {
+    const request = {
       type: Request.Type.LIST_PEERS
-    })
-
-    const message = await sh.read()
-    const response = Response.decode(message)
-
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_LIST_PEERS_FAILED')
     }
 
-    await sh.close()
+    const response = await unaryRequest(this, request, codes.ERR_LIST_PEERS_FAILED, options)
 
     return response.peers.map((peer) => PeerID.createFromBytes(peer.id))
   }
 
+  /**
+   * An outbound stream along with the stream info the daemon opened it with.
+   * The `source` and `sink` of the stream are exposed too, so it can be
+   * used as a duplex iterable directly.
+   *
+   * @typedef {Object} OutboundStream
+   * @property {*} stream - A duplex iterable
+   * @property {AsyncIterable<Uint8Array>} source
+   * @property {function(AsyncIterable<Uint8Array>): Promise} sink
+   * @property {PeerId} peerId - the remote peer
+   * @property {Multiaddr} remoteAddr - the address of the remote peer the stream was opened over
+   * @property {string} protocol - the protocol negotiated with the remote peer
+   */
+
   /**
    * Initiate an outbound stream to a peer on one of a set of protocols.
    *
    * @param {PeerId} peerId
-   * @param {string} protocol
-   * @returns {Socket} socket
+   * @param {string|Array<string>} protocol - protocol, or protocols in order of preference
+   * @param {RequestOptions} [options]
+   * @returns {OutboundStream}
    */
-  async openStream (peerId, protocol) {
+  async openStream (peerId, protocol, options = {}) {
     if (!PeerID.isPeerId(peerId)) {
-      throw errcode(new Error('invalid peer id received'), 'ERR_INVALID_PEER_ID')
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
     }
 
-    if (typeof protocol !== 'string') {
-      throw errcode(new Error('invalid protocol received'), 'ERR_INVALID_PROTOCOL')
-    }
+    const protocols = toProtocols(protocol)
 
-    const sh = await this.send({
+    const request = {
       type: Request.Type.STREAM_OPEN,
       streamOpen: {
         peer: peerId.toBytes(),
-        proto: [protocol]
+        proto: protocols
       }
-    })
+    }
 
-    const message = await sh.read()
-    const response = Response.decode(message)
+    const { response, sh } = await openRequest(this, request, codes.ERR_OPEN_STREAM_FAILED, options)
 
-    if (response.type !== Response.Type.OK) {
-      await sh.close()
-      throw errcode(new Error(response.error.msg), 'ERR_OPEN_STREAM_FAILED')
-    }
+    const stream = this.metrics ? this.metrics.trackStream(sh.rest()) : sh.rest()
+    const { peer, addr, proto } = response.streamInfo
+    log('opened a stream to %s for %s', peerId.toB58String(), proto)
 
-    return sh.rest()
+    return {
+      stream,
+      source: stream.source,
+      sink: stream.sink,
+      peerId: PeerID.createFromBytes(peer),
+      remoteAddr: new Multiaddr(addr),
+      protocol: proto
+    }
   }
 
   /**
    * Register a handler for inbound streams on a given protocol
    *
    * @param {Multiaddr} addr
-   * @param {string} protocol
+   * @param {string|Array<string>} protocol - protocol, or protocols in order of preference
+   * @param {RequestOptions} [options]
    */
-  async registerStreamHandler (addr, protocol) {
+  async registerStreamHandler (addr, protocol, options = {}) {
     if (!Multiaddr.isMultiaddr(addr)) {
-      throw errcode(new Error('invalid multiaddr received'), 'ERR_INVALID_MULTIADDR')
+      throw errcode(new Error('invalid multiaddr received'), codes.ERR_INVALID_MULTIADDR)
     }
 
-    if (typeof protocol !== 'string') {
-      throw errcode(new Error('invalid protocol received'), 'ERR_INVALID_PROTOCOL')
-    }
+    const protocols = toProtocols(protocol)
 
-    const sh = await this.send({
+    const request = {
       type: Request.Type.STREAM_HANDLER,
       streamOpen: null,
       streamHandler: {
         addr: addr.bytes,
-        proto: [protocol]
+        proto: protocols
+      }
+    }
+
+    await unaryRequest(this, request, codes.ERR_REGISTER_STREAM_HANDLER_FAILED, options)
+    log('registered %s to be handled at %s', protocols.join(', '), addr)
+
+    const registration = { addr, protocols }
+    protocols.forEach((protocol) => this._registrations.set(protocol, registration))
+
+    // restarts of the daemon are noticed by the health checks
+    if (this._restore && !this.health.running) {
+      this.health.start({ interval: this._restore.interval })
+    }
+  }
+
+  /**
+   * Notices the daemon going away through the requests that could not reach
+   * it or whose connection it dropped, including the health checks, and
+   * registers the stream handlers again once a request succeeds.
+   *
+   * @private
+   * @param {RequestContext} context
+   * @param {function(): Promise<void>} next
+   * @returns {Promise<void>}
+   */
+  async _restoreMiddleware (context, next) {
+    try {
+      await next()
+    } catch (err) {
+      if (isConnectionLost(err)) {
+        this._daemonLost = true
+      }
+
+      throw err
+    }
+
+    // not awaited, restoring sends requests through the middleware too
+    if (this._daemonLost && this._registrations.size) {
+      this._restoreRegistrations()
+    }
+  }
+
+  /**
+   * Register the remembered stream handlers with the daemon again, until
+   * they are all registered or the client closes. Emits `daemon:restored`.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _restoreRegistrations () {
+    if (!this._restoring) {
+      this._restoring = this._reregister().finally(() => {
+        this._restoring = null
+      })
+    }
+
+    return this._restoring
+  }
+
+  /**
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _reregister () {
+    const controller = this._restoreController = new AbortController()
+
+    while (!controller.signal.aborted) {
+      this._daemonLost = false
+      const registrations = new Set(this._registrations.values())
+
+      try {
+        for (const { addr, protocols } of registrations) {
+          await this.registerStreamHandler(addr, protocols, { signal: controller.signal, retry: false })
+        }
+      } catch (err) {
+        // the daemon may have gone away again
+        log.error('could not restore the stream handlers', err)
+        await sleep(this._restore.interval, controller.signal)
+        continue
       }
+
+      log('restored the stream handlers')
+      this.emit('daemon:restored', { protocols: [...this._registrations.keys()] })
+      return
+    }
+  }
+
+  /**
+   * @typedef {Object} InboundStream
+   * @property {PeerId} peerId - the remote peer
+   * @property {Multiaddr} addr - the address of the remote peer
+   * @property {string} protocol - the protocol negotiated for the stream
+   * @property {*} stream - A duplex iterable
+   */
+
+  /**
+   * Handle inbound streams on a given protocol. Starts listening for
+   * connections from the daemon and registers the listening address with
+   * it, calling `handler` for each stream opened by a remote peer.
+   * Handling a protocol again replaces its previous handler.
+   *
+   * @param {string|Array<string>} protocol - protocol, or protocols in order of preference
+   * @param {function(InboundStream)} handler
+   * @param {Object} [options]
+   * @param {Multiaddr} [options.addr] - address to listen on, a fresh one is used by default
+   * @param {AbortSignal} [options.signal]
+   * @param {number} [options.timeout] - ms to wait for the daemon to register the handler
+   */
+  async handle (protocol, handler, options = {}) {
+    const protocols = toProtocols(protocol)
+
+    if (typeof handler !== 'function') {
+      throw errcode(new Error('invalid handler received'), codes.ERR_INVALID_HANDLER)
+    }
+
+    if (options.addr && !Multiaddr.isMultiaddr(options.addr)) {
+      throw errcode(new Error('invalid multiaddr received'), codes.ERR_INVALID_MULTIADDR)
+    }
+
+    await Promise.all(protocols.map((protocol) => this._unhandle(protocol)))
+
+    const listener = this.tcp.createListener(maConn => this._handleStream(maConn, handler))
+    const addr = options.addr || createListenAddr(this.multiaddr)
+    await listener.listen(addr)
+
+    // tcp listeners may have been given a random port
+    const listenAddr = addr.getPath() ? addr : listener.getAddrs()[0]
+    const entry = { listener, addr: listenAddr, protocols }
+    protocols.forEach((protocol) => this._handlers.set(protocol, entry))
+
+    try {
+      await this.registerStreamHandler(listenAddr, protocols, options)
+    } catch (err) {
+      await this._unhandle(protocols[0])
+      throw err
+    }
+  }
+
+  /**
+   * Stops listening for inbound streams for the handler of a protocol,
+   * along with the other protocols that handler was registered for
+   *
+   * @private
+   * @param {string} protocol
+   * @returns {Promise<void>}
+   */
+  async _unhandle (protocol) {
+    const entry = this._handlers.get(protocol)
+    if (!entry) {
+      return
+    }
+
+    entry.protocols.forEach((protocol) => {
+      this._handlers.delete(protocol)
+      this._registrations.delete(protocol)
     })
+    await entry.listener.close()
+  }
 
-    const message = await sh.read()
-    const response = Response.decode(message)
+  /**
+   * Decodes the StreamInfo the daemon sends ahead of an inbound stream and
+   * passes the stream on to the handler
+   *
+   * @private
+   * @param {MultiaddrConnection} maConn
+   * @param {function(InboundStream)} handler
+   */
+  async _handleStream (maConn, handler) {
+    const sh = new StreamHandler({ stream: maConn })
+
+    let streamInfo
+    let peerId
+    let addr
+    try {
+      const message = await sh.read()
+      if (!message) {
+        return
+      }
 
-    await sh.close()
+      streamInfo = StreamInfo.decode(message)
+      peerId = PeerID.createFromBytes(streamInfo.peer)
+      addr = new Multiaddr(streamInfo.addr)
+    } catch (err) {
+      log.error('could not read the info of an inbound stream', err)
+      sh.close()
+      return
+    }
 
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_REGISTER_STREAM_HANDLER_FAILED')
+    log('handling a stream from %s for %s', peerId.toB58String(), streamInfo.proto)
+
+    try {
+      await handler({
+        peerId,
+        addr,
+        protocol: streamInfo.proto,
+        stream: sh.rest()
+      })
+    } catch (err) {
+      // there is no caller to report handler errors to, end the stream
+      log.error('the handler of %s failed', streamInfo.proto, err)
+      await maConn.close().catch((err) => log.error('could not close an inbound stream', err))
     }
   }
 }
 
 module.exports = Client
+module.exports.codes = codes
@@ -0,0 +1,82 @@
+import Client = require('./index')
+import Subscription = require('./subscription')
+
+declare namespace Metrics {
+  interface MetricsOptions {
+    /**
+     * Upper bounds of the latency histogram buckets, in ms
+     */
+    buckets?: number[]
+  }
+
+  interface Histogram {
+    /**
+     * Count of observations less than or equal to each bucket, and `+Inf`
+     */
+    buckets: Record<string, number>
+    /**
+     * Sum of the observations, in ms
+     */
+    sum: number
+    /**
+     * Number of observations
+     */
+    count: number
+  }
+
+  interface MetricsSnapshot {
+    /**
+     * Completed requests, by type
+     */
+    requests: Record<string, number>
+    /**
+     * Failed requests, by error code
+     */
+    errors: Record<string, number>
+    /**
+     * ms requests took, by type
+     */
+    latency: Record<string, Histogram>
+    /**
+     * Streams opened with `openStream`
+     */
+    streams: { active: number, bytesIn: number, bytesOut: number }
+    /**
+     * Pubsub subscriptions
+     */
+    subscriptions: { active: number }
+  }
+}
+
+/**
+ * Counts the requests the client sends to the daemon, the data sent over the
+ * streams it opens and its subscriptions
+ */
+declare class Metrics {
+  constructor (options?: Metrics.MetricsOptions)
+
+  /**
+   * Middleware recording the type, error and duration of every request
+   */
+  middleware: Client.Middleware
+
+  /**
+   * Count the bytes read from and written to a stream, which is active until both ended.
+   * A side that was not used when the other ended counts as ended until it is used.
+   */
+  trackStream<T extends Client.Duplex> (stream: T): T
+
+  /**
+   * Count a subscription as active until it ends
+   */
+  trackSubscription (subscription: Subscription): void
+
+  snapshot (): Metrics.MetricsSnapshot
+
+  /**
+   * Render the metrics in the Prometheus text exposition format, latencies in seconds
+   */
+  toPrometheus (): string
+}
+
+export = Metrics
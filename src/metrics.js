@@ -0,0 +1,256 @@
+'use strict'
+
+const errcode = require('err-code')
+const { codes, requestType } = require('./errors')
+
+const PREFIX = 'libp2p_daemon_client'
+
+/**
+ * @typedef {Object} Histogram
+ * @property {Object<string, number>} buckets - count of observations less than or equal to each bucket, and `+Inf`
+ * @property {number} sum - sum of the observations, in ms
+ * @property {number} count - number of observations
+ */
+
+/**
+ * @typedef {Object} MetricsSnapshot
+ * @property {Object<string, number>} requests - completed requests, by type
+ * @property {Object<string, number>} errors - failed requests, by error code
+ * @property {Object<string, Histogram>} latency - ms requests took, by type
+ * @property {{active: number, bytesIn: number, bytesOut: number}} streams - streams opened with `openStream`
+ * @property {{active: number}} subscriptions - pubsub subscriptions
+ */
+
+/**
+ * Counts the requests the client sends to the daemon, the data sent over the
+ * streams it opens and its subscriptions. Requests are observed through the
+ * client's middleware, so they are counted once they completed.
+ */
+class Metrics {
+  /**
+   * @class
+   * @param {Object} [options]
+   * @param {Array<number>} [options.buckets] - upper bounds of the latency histogram buckets, in ms
+   */
+  constructor ({ buckets = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000] } = {}) {
+    if (!Array.isArray(buckets) || !buckets.every((bucket, i) => typeof bucket === 'number' && bucket > 0 && !(bucket <= buckets[i - 1]))) {
+      throw errcode(new Error('invalid buckets received'), codes.ERR_INVALID_METRICS_OPTIONS)
+    }
+
+    this._buckets = buckets
+    this._requests = new Map()
+    this._errors = new Map()
+    this._latency = new Map()
+    this._streams = { active: 0, bytesIn: 0, bytesOut: 0 }
+    this._subscriptions = { active: 0 }
+
+    this.middleware = this.middleware.bind(this)
+  }
+
+  /**
+   * Middleware recording the type, error and duration of every request
+   *
+   * @param {RequestContext} context
+   * @param {function(): Promise<void>} next
+   * @returns {Promise<void>}
+   */
+  async middleware (context, next) {
+    try {
+      await next()
+    } finally {
+      this._observe(context)
+    }
+  }
+
+  /**
+   * @private
+   * @param {RequestContext} context
+   */
+  _observe ({ request, error, duration }) {
+    const type = requestType(request)
+
+    increment(this._requests, type)
+
+    if (error) {
+      increment(this._errors, error.code || 'unknown')
+    }
+
+    if (duration == null) {
+      return
+    }
+
+    let histogram = this._latency.get(type)
+    if (!histogram) {
+      histogram = { buckets: this._buckets.map(() => 0), sum: 0, count: 0 }
+      this._latency.set(type, histogram)
+    }
+
+    this._buckets.forEach((bucket, i) => {
+      if (duration <= bucket) {
+        histogram.buckets[i]++
+      }
+    })
+    histogram.sum += duration
+    histogram.count++
+  }
+
+  /**
+   * Count the bytes read from and written to a stream, which is active
+   * while its source or sink is in use, and until either is used. A side
+   * that was not used when the other ended counts as ended until it is used,
+   * so streams that are only read or only written to do not stay active.
+   *
+   * @param {*} stream - A duplex iterable
+   * @returns {*} the stream, counted
+   */
+  trackStream (stream) {
+    const streams = this._streams
+    // 'idle' until used, then 'open' until 'ended'
+    const sides = { source: 'idle', sink: 'idle' }
+    let counted = true
+    const update = (side, state) => {
+      sides[side] = state
+      const active = sides.source === 'open' || sides.sink === 'open' ||
+        (sides.source === 'idle' && sides.sink === 'idle')
+
+      if (counted !== active) {
+        counted = active
+        streams.active += active ? 1 : -1
+      }
+    }
+
+    streams.active++
+
+    return {
+      ...stream,
+      source: (async function * () {
+        update('source', 'open')
+
+        try {
+          for await (const chunk of stream.source) {
+            streams.bytesIn += chunk.length
+            yield chunk
+          }
+        } finally {
+          update('source', 'ended')
+        }
+      })(),
+      sink: async (source) => {
+        update('sink', 'open')
+
+        try {
+          return await stream.sink((async function * () {
+            for await (const chunk of source) {
+              streams.bytesOut += chunk.length
+              yield chunk
+            }
+          })())
+        } finally {
+          update('sink', 'ended')
+        }
+      }
+    }
+  }
+
+  /**
+   * Count a subscription as active until it ends
+   *
+   * @param {Subscription} subscription
+   */
+  trackSubscription (subscription) {
+    this._subscriptions.active++
+    subscription.once('end', () => this._subscriptions.active--)
+  }
+
+  /**
+   * @returns {MetricsSnapshot}
+   */
+  snapshot () {
+    const latency = {}
+    for (const [type, { buckets, sum, count }] of this._latency) {
+      latency[type] = {
+        buckets: Object.fromEntries([
+          ...this._buckets.map((bucket, i) => [bucket, buckets[i]]),
+          ['+Inf', count]
+        ]),
+        sum,
+        count
+      }
+    }
+
+    return {
+      requests: Object.fromEntries(this._requests),
+      errors: Object.fromEntries(this._errors),
+      latency,
+      streams: { ...this._streams },
+      subscriptions: { ...this._subscriptions }
+    }
+  }
+
+  /**
+   * Render the metrics in the Prometheus text exposition format, latencies
+   * in seconds
+   *
+   * @returns {string}
+   */
+  toPrometheus () {
+    const lines = []
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`)
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${PREFIX}_${name}${suffix}${formatLabels(labels)} ${value}`)
+      }
+    }
+
+    metric('requests_total', 'counter', 'Requests sent to the daemon, by type.',
+      [...this._requests].map(([type, count]) => ['', { type }, count]))
+
+    metric('errors_total', 'counter', 'Requests that failed, by error code.',
+      [...this._errors].map(([code, count]) => ['', { code }, count]))
+
+    metric('request_duration_seconds', 'histogram', 'Time requests took to complete, by type.',
+      [...this._latency].flatMap(([type, { buckets, sum, count }]) => [
+        ...this._buckets.map((bucket, i) => ['_bucket', { type, le: bucket / 1000 }, buckets[i]]),
+        ['_bucket', { type, le: '+Inf' }, count],
+        ['_sum', { type }, sum / 1000],
+        ['_count', { type }, count]
+      ]))
+
+    metric('stream_received_bytes_total', 'counter', 'Bytes read from opened streams.',
+      [['', {}, this._streams.bytesIn]])
+
+    metric('stream_sent_bytes_total', 'counter', 'Bytes written to opened streams.',
+      [['', {}, this._streams.bytesOut]])
+
+    metric('active_streams', 'gauge', 'Opened streams that did not end yet.',
+      [['', {}, this._streams.active]])
+
+    metric('active_subscriptions', 'gauge', 'Pubsub subscriptions that did not end yet.',
+      [['', {}, this._subscriptions.active]])
+
+    return lines.join('\n') + '\n'
+  }
+}
+
+/**
+ * @param {Map<string, number>} counters
+ * @param {string} key
+ */
+function increment (counters, key) {
+  counters.set(key, (counters.get(key) || 0) + 1)
+}
+
+/**
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels (labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+    return `${name}="${escaped}"`
+  })
+
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+module.exports = Metrics
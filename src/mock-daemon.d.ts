@@ -0,0 +1,100 @@
+import PeerId = require('peer-id')
+import { Multiaddr } from 'multiaddr'
+import Client = require('./index')
+
+declare namespace MockDaemon {
+  /**
+   * What the mock daemon answers a request with: a Response, or a list of the
+   * Response followed by the messages of a streaming request
+   */
+  type MockResponse = object | Uint8Array | Array<object | Uint8Array>
+
+  interface RecordedRequest {
+    /**
+     * Type of the request, e.g. `DHT.GET_VALUE`
+     */
+    type: string
+    /**
+     * The decoded request
+     */
+    request: Client.DaemonRequest
+  }
+
+  interface ScriptOptions {
+    /**
+     * Number of requests the script answers, all of them by default
+     */
+    times?: number
+    /**
+     * ms to wait before answering
+     */
+    delay?: number
+  }
+
+  interface MockDaemonOptions {
+    /**
+     * Path of the control socket, a unique one in the temp directory by default
+     */
+    socketPath?: string
+    /**
+     * Peer id of the mock, created on start by default
+     */
+    peerId?: PeerId
+  }
+}
+
+/**
+ * A fake daemon speaking the control protocol over a unix socket
+ */
+declare class MockDaemon {
+  constructor (options?: MockDaemon.MockDaemonOptions)
+
+  socketPath: string
+  multiaddr: Multiaddr
+  /**
+   * Set once started if no peer id was given
+   */
+  peerId: PeerId
+  requests: MockDaemon.RecordedRequest[]
+
+  /**
+   * Start listening on the socket
+   */
+  start (): Promise<void>
+
+  /**
+   * Close the connections and the socket
+   */
+  stop (): Promise<void>
+
+  /**
+   * Answer requests of a type with a response
+   *
+   * @param type - type of the request, e.g. `IDENTIFY` or `DHT.GET_VALUE`
+   */
+  respond (type: string, response: MockDaemon.MockResponse | ((request: Client.DaemonRequest) => MockDaemon.MockResponse | Promise<MockDaemon.MockResponse>), options?: MockDaemon.ScriptOptions): this
+
+  /**
+   * Answer requests of a type with an error response
+   */
+  fail (type: string, message: string, options?: MockDaemon.ScriptOptions): this
+
+  /**
+   * Close the connection of requests of a type without answering
+   */
+  drop (type: string, options?: MockDaemon.ScriptOptions): this
+
+  /**
+   * Send a message to the subscriptions to a topic
+   *
+   * @returns the number of subscriptions the message was sent to
+   */
+  publish (topic: string, message: { from?: PeerId | Uint8Array, [field: string]: any }): number
+
+  /**
+   * Forget the scripts and the recorded requests
+   */
+  reset (): void
+}
+
+export = MockDaemon
@@ -0,0 +1,317 @@
+'use strict'
+
+const fs = require('fs')
+const debug = require('debug')
+const errcode = require('err-code')
+const TCP = require('libp2p-tcp')
+const PeerID = require('peer-id')
+const { Multiaddr } = require('multiaddr')
+const StreamHandler = require('libp2p-daemon/src/stream-handler')
+const {
+  Request,
+  Response,
+  DHTResponse,
+  PSRequest,
+  PSMessage
+} = require('libp2p-daemon/src/protocol')
+
+const { codes, requestType } = require('./errors')
+const { sleep } = require('./util/retry')
+const { passThroughUpgrader, createSocketPath, isUnaryRequest } = require('./util')
+
+const log = debug('libp2p:daemon-client:mock-daemon')
+
+/**
+ * What the mock daemon answers a request with: a Response, or a list of the
+ * Response followed by the messages of a streaming request (`DHTResponse` for
+ * DHT requests, `PSMessage` for subscriptions). Objects are encoded, the
+ * `type` of the Response defaults to OK, and `Uint8Array`s are sent as is.
+ *
+ * @typedef {Object|Uint8Array|Array<Object|Uint8Array>} MockResponse
+ */
+
+/**
+ * @typedef {Object} RecordedRequest
+ * @property {string} type - type of the request, e.g. `DHT.GET_VALUE`
+ * @property {Request} request - the decoded request
+ */
+
+/**
+ * A fake daemon speaking the control protocol over a unix socket, for testing
+ * code that uses a `Client` without a libp2p node. Requests are answered by
+ * the scripts added with `respond`, `fail` and `drop`, and recorded in
+ * `requests`.
+ *
+ * Requests without a script are answered with an OK response. IDENTIFY
+ * answers with the `peerId` of the mock, and the streaming DHT requests with
+ * an empty stream.
+ */
+class MockDaemon {
+  /**
+   * @class
+   * @param {Object} [options]
+   * @param {string} [options.socketPath] - path of the control socket, a unique one in the temp directory by default
+   * @param {PeerId} [options.peerId] - peer id of the mock, created on start by default
+   */
+  constructor ({ socketPath = createSocketPath('p2pd-mock'), peerId } = {}) {
+    this.socketPath = socketPath
+    this.multiaddr = new Multiaddr(`/unix${socketPath}`)
+    this.peerId = peerId
+
+    /** @type {Array<RecordedRequest>} */
+    this.requests = []
+
+    this._tcp = new TCP({ upgrader: passThroughUpgrader })
+    this._listener = null
+    // request type -> scripts, used in the order they were added
+    this._scripts = new Map()
+    this._connections = new Set()
+    // topic -> stream handlers of the subscriptions
+    this._subscriptions = new Map()
+  }
+
+  /**
+   * Start listening on the socket
+   *
+   * @returns {Promise<void>}
+   */
+  async start () {
+    if (!this.peerId) {
+      this.peerId = await PeerID.create({ keyType: 'Ed25519' })
+    }
+
+    this._listener = this._tcp.createListener((maConn) => this._handleConnection(maConn))
+    await this._listener.listen(this.multiaddr)
+    log('listening at %s', this.socketPath)
+  }
+
+  /**
+   * Close the connections and the socket
+   *
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    for (const maConn of this._connections) {
+      maConn.conn.destroy()
+    }
+
+    this._connections.clear()
+    this._subscriptions.clear()
+    this._listener && await this._listener.close()
+    this._listener = null
+    await fs.promises.rm(this.socketPath, { force: true })
+  }
+
+  /**
+   * Answer requests of a type with a response
+   *
+   * @param {string} type - type of the request, e.g. `IDENTIFY` or `DHT.GET_VALUE`
+   * @param {MockResponse|function(Request): MockResponse|Promise<MockResponse>} response - the response, or a function creating it, which answers with an error if it throws
+   * @param {Object} [options]
+   * @param {number} [options.times] - number of requests the script answers, all of them by default
+   * @param {number} [options.delay] - ms to wait before answering
+   * @returns {MockDaemon} the mock
+   */
+  respond (type, response, options = {}) {
+    return this._addScript(type, { response }, options)
+  }
+
+  /**
+   * Answer requests of a type with an error response
+   *
+   * @param {string} type - type of the request
+   * @param {string} message - message of the error
+   * @param {Object} [options] - see `respond`
+   * @returns {MockDaemon} the mock
+   */
+  fail (type, message, options = {}) {
+    return this._addScript(type, { response: { type: Response.Type.ERROR, error: { msg: message } } }, options)
+  }
+
+  /**
+   * Close the connection of requests of a type without answering, as a
+   * daemon that crashed would
+   *
+   * @param {string} type - type of the request
+   * @param {Object} [options] - see `respond`
+   * @returns {MockDaemon} the mock
+   */
+  drop (type, options = {}) {
+    return this._addScript(type, { drop: true }, options)
+  }
+
+  /**
+   * Send a message to the subscriptions to a topic
+   *
+   * @param {string} topic
+   * @param {Object} message - the PSMessage, `from` may be a PeerId and defaults to the peer id of the mock
+   * @returns {number} the number of subscriptions the message was sent to
+   */
+  publish (topic, message) {
+    const subscriptions = this._subscriptions.get(topic) || new Set()
+    const from = message.from || this.peerId
+    const encoded = PSMessage.encode({
+      topicIDs: [topic],
+      ...message,
+      from: PeerID.isPeerId(from) ? from.toBytes() : from
+    }).finish()
+
+    subscriptions.forEach((sh) => sh.write(encoded))
+
+    return subscriptions.size
+  }
+
+  /**
+   * Forget the scripts and the recorded requests
+   */
+  reset () {
+    this._scripts.clear()
+    this.requests = []
+  }
+
+  /**
+   * @private
+   * @param {string} type
+   * @param {Object} script
+   * @param {Object} options
+   * @param {number} [options.times]
+   * @param {number} [options.delay]
+   * @returns {MockDaemon}
+   */
+  _addScript (type, script, { times = Infinity, delay = 0 }) {
+    if (typeof type !== 'string') {
+      throw errcode(new Error('invalid request type received'), codes.ERR_INVALID_REQUEST_TYPE)
+    }
+
+    const scripts = this._scripts.get(type) || []
+    scripts.push({ ...script, times, delay })
+    this._scripts.set(type, scripts)
+
+    return this
+  }
+
+  /**
+   * The script answering the next request of a type
+   *
+   * @private
+   * @param {string} type
+   * @returns {Object|undefined}
+   */
+  _nextScript (type) {
+    const scripts = this._scripts.get(type) || []
+    const script = scripts[0]
+
+    if (script && --script.times <= 0) {
+      scripts.shift()
+    }
+
+    return script
+  }
+
+  /**
+   * Answer the requests sent over a connection until it closes
+   *
+   * @private
+   * @param {MultiaddrConnection} maConn
+   */
+  async _handleConnection (maConn) {
+    this._connections.add(maConn)
+    const sh = new StreamHandler({ stream: maConn })
+
+    try {
+      while (true) {
+        const message = await sh.read()
+        if (!message) {
+          return
+        }
+
+        const request = Request.decode(message)
+        const type = requestType(request)
+        this.requests.push({ type, request })
+        log('received %s', type)
+
+        const script = this._nextScript(type)
+
+        if (script && script.delay) {
+          await sleep(script.delay)
+        }
+
+        if (script && script.drop) {
+          maConn.conn.destroy()
+          return
+        }
+
+        const messages = await this._responses(request, script)
+        messages.forEach((message) => sh.write(message))
+
+        if (request.type === Request.Type.PUBSUB && request.pubsub.type === PSRequest.Type.SUBSCRIBE) {
+          this._subscribe(request.pubsub.topic, sh)
+        }
+      }
+    } catch (err) {
+      log('connection failed', err)
+    } finally {
+      this._connections.delete(maConn)
+      this._subscriptions.forEach((subscriptions) => subscriptions.delete(sh))
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} topic
+   * @param {StreamHandler} sh
+   */
+  _subscribe (topic, sh) {
+    const subscriptions = this._subscriptions.get(topic) || new Set()
+    subscriptions.add(sh)
+    this._subscriptions.set(topic, subscriptions)
+  }
+
+  /**
+   * Encode the messages answering a request
+   *
+   * @private
+   * @param {Request} request
+   * @param {Object} [script]
+   * @returns {Promise<Array<Uint8Array>>}
+   */
+  async _responses (request, script) {
+    let response = script ? script.response : this._defaultResponse(request)
+
+    if (typeof response === 'function') {
+      try {
+        response = await response(request)
+      } catch (err) {
+        response = { type: Response.Type.ERROR, error: { msg: err.message } }
+      }
+    }
+
+    const [first, ...rest] = Array.isArray(response) ? response : [response]
+    const type = request.type === Request.Type.PUBSUB ? PSMessage : DHTResponse
+    const encode = (Message, message) => message instanceof Uint8Array ? message : Message.encode(message).finish()
+
+    return [
+      encode(Response, first instanceof Uint8Array ? first : { type: Response.Type.OK, ...first }),
+      ...rest.map((message) => encode(type, message))
+    ]
+  }
+
+  /**
+   * @private
+   * @param {Request} request
+   * @returns {MockResponse}
+   */
+  _defaultResponse (request) {
+    if (request.type === Request.Type.IDENTIFY) {
+      return { identify: { id: this.peerId.toBytes(), addrs: [] } }
+    }
+
+    if (request.type === Request.Type.DHT && !isUnaryRequest(request)) {
+      return [{ dht: { type: DHTResponse.Type.BEGIN } }, { type: DHTResponse.Type.END }]
+    }
+
+    return {}
+  }
+}
+
+module.exports = MockDaemon
@@ -0,0 +1,82 @@
+import Client = require('./index')
+import { SpawnOptions, SpawnedDaemon } from './spawn'
+
+export type Topology = 'line' | 'ring' | 'star' | 'mesh'
+
+export interface NetworkOptions {
+  /**
+   * Number of daemons
+   */
+  size: number
+  /**
+   * How the daemons are connected (default: `mesh`)
+   */
+  topology?: Topology
+  /**
+   * Options of each daemon
+   */
+  daemon?: SpawnOptions
+  /**
+   * ms to wait for the network to settle (default: 10000)
+   */
+  timeout?: number
+}
+
+/**
+ * The pairs of daemon indexes connected by each topology
+ */
+export const topologies: Record<Topology, (size: number) => Array<[number, number]>>
+
+/**
+ * Local daemons, each with its client, connected to each other in a topology
+ */
+export class Network {
+  constructor (options: NetworkOptions)
+
+  size: number
+  topology: Topology
+  /**
+   * The pairs of indexes of the daemons connected to each other
+   */
+  links: Array<[number, number]>
+  daemons: SpawnedDaemon[]
+  /**
+   * The client of each daemon
+   */
+  readonly clients: Client[]
+
+  /**
+   * Start the daemons and connect them
+   */
+  start (): Promise<void>
+
+  /**
+   * Connect daemon `a` to daemon `b`
+   */
+  connect (a: number, b: number): Promise<void>
+
+  /**
+   * Indexes of the daemons a daemon is connected to by the topology
+   */
+  neighbours (i: number): number[]
+
+  /**
+   * Wait until the DHT routing table of every daemon has peers to query
+   */
+  waitForDht (options?: { minPeers?: number, timeout?: number }): Promise<void>
+
+  /**
+   * Wait until every daemon subscribed to a topic sees its subscribed neighbours as subscribed too
+   */
+  waitForPubsub (topic: string, options?: { timeout?: number }): Promise<void>
+
+  /**
+   * Stop every daemon and remove their sockets
+   */
+  stop (): Promise<void>
+}
+
+/**
+ * Start a network of local daemons connected in a topology
+ */
+export function createNetwork (options: NetworkOptions): Promise<Network>
@@ -0,0 +1,280 @@
+'use strict'
+
+const debug = require('debug')
+const errcode = require('err-code')
+
+const { codes } = require('./errors')
+const { spawnDaemon } = require('./spawn')
+const { sleep } = require('./util/retry')
+
+const log = debug('libp2p:daemon-client:network')
+
+/**
+ * The pairs of daemon indexes connected by each topology
+ */
+const topologies = {
+  line: (size) => range(size - 1).map((i) => [i, i + 1]),
+  ring: (size) => size > 2 ? [...topologies.line(size), [size - 1, 0]] : topologies.line(size),
+  star: (size) => range(size - 1).map((i) => [0, i + 1]),
+  mesh: (size) => range(size).flatMap((i) => range(size - i - 1).map((j) => [i, i + j + 1]))
+}
+
+/**
+ * Local daemons, each with its client, connected to each other in a
+ * topology. Nothing leaves localhost.
+ */
+class Network {
+  /**
+   * @class
+   * @param {Object} options
+   * @param {number} options.size - number of daemons
+   * @param {string} [options.topology] - `line`, `ring`, `star` or `mesh` (default: `mesh`)
+   * @param {Object} [options.daemon] - options of each daemon, see `spawnDaemon`
+   * @param {number} [options.timeout] - ms to wait for the network to settle (default: 10000)
+   */
+  constructor ({ size, topology = 'mesh', daemon = {}, timeout = 10e3 }) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw errcode(new Error('invalid size received'), codes.ERR_INVALID_NETWORK_OPTIONS)
+    }
+
+    if (!topologies[topology]) {
+      throw errcode(new Error(`invalid topology received: ${topology}`), codes.ERR_INVALID_NETWORK_OPTIONS)
+    }
+
+    this.size = size
+    this.topology = topology
+    this.links = topologies[topology](size)
+    this._daemonOptions = daemon
+    this._timeout = timeout
+
+    /** @type {Array<SpawnedDaemon>} */
+    this.daemons = []
+  }
+
+  /**
+   * @returns {Array<Client>} the client of each daemon
+   */
+  get clients () {
+    return this.daemons.map(({ client }) => client)
+  }
+
+  /**
+   * Start the daemons and connect them. If any fails to start, the started
+   * ones are stopped.
+   *
+   * @returns {Promise<void>}
+   */
+  async start () {
+    log('starting %d daemons in a %s', this.size, this.topology)
+
+    const results = await Promise.allSettled(range(this.size).map(() => spawnDaemon(this._daemonOptions)))
+    this.daemons = results.filter(({ status }) => status === 'fulfilled').map(({ value }) => value)
+
+    const failed = results.find(({ status }) => status === 'rejected')
+    if (failed) {
+      await this.stop()
+      throw failed.reason
+    }
+
+    try {
+      await Promise.all(this.links.map(([a, b]) => this.connect(a, b)))
+    } catch (err) {
+      await this.stop()
+      throw err
+    }
+  }
+
+  /**
+   * Connect two daemons of the network
+   *
+   * @param {number} a - index of the daemon that dials
+   * @param {number} b - index of the daemon dialed
+   * @returns {Promise<void>}
+   */
+  async connect (a, b) {
+    const { peerId, addrs } = this.daemons[b]
+
+    log('connecting %s to %s', this.daemons[a].peerId.toB58String(), peerId.toB58String())
+    await this.daemons[a].client.connect(peerId, addrs)
+  }
+
+  /**
+   * Indexes of the daemons a daemon is connected to by the topology
+   *
+   * @param {number} i - index of the daemon
+   * @returns {Array<number>}
+   */
+  neighbours (i) {
+    return this.links
+      .filter((link) => link.includes(i))
+      .map(([a, b]) => a === i ? b : a)
+  }
+
+  /**
+   * Wait until the DHT routing table of every daemon has peers to query
+   *
+   * @param {Object} [options]
+   * @param {number} [options.minPeers] - peers each routing table needs (default: the daemon's neighbours, at most 1)
+   * @param {number} [options.timeout] - ms to wait (default: the timeout of the network)
+   * @returns {Promise<void>}
+   */
+  async waitForDht ({ minPeers, timeout = this._timeout } = {}) {
+    await this._waitFor('the dht', timeout, (daemon, i, remaining) => {
+      const expected = minPeers != null ? minPeers : Math.min(this.neighbours(i).length, 1)
+      return this._routingTableHas(daemon, expected, remaining)
+    })
+  }
+
+  /**
+   * Wait until every daemon subscribed to a topic sees its subscribed
+   * neighbours as subscribed too, so messages published on the topic reach
+   * them. The subscribers of in-process daemons are read from their libp2p
+   * node, as the js daemon does not support `pubsub.listPeers`.
+   *
+   * @param {string} topic
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - ms to wait (default: the timeout of the network)
+   * @returns {Promise<void>}
+   */
+  async waitForPubsub (topic, { timeout = this._timeout } = {}) {
+    const subscribed = await Promise.all(this.clients.map(async (client) => {
+      return (await client.pubsub.getTopics()).includes(topic)
+    }))
+
+    await this._waitFor(`the ${topic} topic`, timeout, async (daemon, i, remaining) => {
+      if (!subscribed[i]) {
+        return true
+      }
+
+      let peers
+      try {
+        peers = await this._subscribers(daemon, topic, remaining)
+      } catch (err) {
+        if (err.code === codes.ERR_TIMEOUT) {
+          return false
+        }
+
+        throw err
+      }
+
+      return this.neighbours(i)
+        .filter((j) => subscribed[j])
+        .every((j) => peers.includes(this.daemons[j].peerId.toB58String()))
+    })
+  }
+
+  /**
+   * Stop every daemon and remove their sockets
+   *
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    const daemons = this.daemons
+    this.daemons = []
+
+    log('stopping %d daemons', daemons.length)
+    await Promise.all(daemons.map((daemon) => daemon.stop()))
+  }
+
+  /**
+   * @private
+   * @param {SpawnedDaemon} daemon
+   * @param {string} topic
+   * @param {number} timeout - ms the request may take
+   * @returns {Promise<Array<string>>} b58 strings of the peers the daemon sees subscribed to the topic
+   */
+  async _subscribers (daemon, topic, timeout) {
+    if (daemon.libp2p) {
+      return daemon.libp2p.pubsub.getSubscribers(topic)
+    }
+
+    const peerIds = await daemon.client.pubsub.listPeers(topic, { timeout })
+    return peerIds.map((peerId) => peerId.toB58String())
+  }
+
+  /**
+   * @private
+   * @param {SpawnedDaemon} daemon
+   * @param {number} minPeers
+   * @param {number} timeout - ms the query may take
+   * @returns {Promise<boolean>}
+   */
+  async _routingTableHas (daemon, minPeers, timeout) {
+    if (minPeers === 0) {
+      return true
+    }
+
+    let peers = 0
+    try {
+      for await (const _ of daemon.client.dht.getClosestPeers(daemon.peerId.toBytes(), { timeout })) { // eslint-disable-line no-unused-vars
+        if (++peers >= minPeers) {
+          return true
+        }
+      }
+    } catch (_) {
+      // the routing table is empty, or the query timed out
+    }
+
+    return false
+  }
+
+  /**
+   * Poll a condition of each daemon until it holds for all of them
+   *
+   * @private
+   * @param {string} what - what is settling, for the error message
+   * @param {number} timeout
+   * @param {function(SpawnedDaemon, number, number): Promise<boolean>} condition - called with a daemon, its index and the ms left
+   * @returns {Promise<void>}
+   */
+  async _waitFor (what, timeout, condition) {
+    const deadline = Date.now() + timeout
+    const settled = new Set()
+
+    while (true) {
+      await Promise.all(this.daemons.map(async (daemon, i) => {
+        if (!settled.has(i) && await condition(daemon, i, Math.max(deadline - Date.now(), 1))) {
+          settled.add(i)
+        }
+      }))
+
+      if (settled.size === this.daemons.length) {
+        log('%s settled', what)
+        return
+      }
+
+      if (Date.now() >= deadline) {
+        throw errcode(new Error(`${what} did not settle within ${timeout}ms`), codes.ERR_NOT_SETTLED)
+      }
+
+      await sleep(100)
+    }
+  }
+}
+
+/**
+ * Start a network of local daemons connected in a topology
+ *
+ * @param {Object} options - see `Network`
+ * @returns {Promise<Network>}
+ */
+async function createNetwork (options) {
+  const network = new Network(options)
+  await network.start()
+
+  return network
+}
+
+/**
+ * @param {number} n
+ * @returns {Array<number>} 0 to n - 1
+ */
+function range (n) {
+  return Array.from({ length: Math.max(n, 0) }, (_, i) => i)
+}
+
+module.exports = {
+  Network,
+  createNetwork,
+  topologies
+}
@@ -0,0 +1,18 @@
+import PeerId = require('peer-id')
+import Client = require('./index')
+
+declare class Peerstore {
+  constructor (client: Client)
+
+  /**
+   * Get the protocols a peer is known to support
+   */
+  getProtocols (peerId: PeerId, options?: Client.RequestOptions): Promise<string[]>
+
+  /**
+   * Get the addresses the daemon has recorded for a peer
+   */
+  getPeerInfo (peerId: PeerId, options?: Client.RequestOptions): Promise<Client.PeerInfo>
+}
+
+export = Peerstore
@@ -0,0 +1,77 @@
+'use strict'
+
+const PeerID = require('peer-id')
+const { Multiaddr } = require('multiaddr')
+const errcode = require('err-code')
+
+const {
+  Request,
+  PeerstoreRequest
+} = require('libp2p-daemon/src/protocol')
+const { codes } = require('./errors')
+const { unaryRequest } = require('./request')
+
+class Peerstore {
+  /**
+   * @class
+   * @param {Client} client - libp2p daemon client instance
+   */
+  constructor (client) {
+    this._client = client
+  }
+
+  /**
+   * Get the protocols a peer is known to support.
+   *
+   * @param {PeerId} peerId
+   * @param {RequestOptions} [options]
+   * @returns {Array<string>}
+   */
+  async getProtocols (peerId, options = {}) {
+    if (!PeerID.isPeerId(peerId)) {
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
+    }
+
+    const request = {
+      type: Request.Type.PEERSTORE,
+      peerStore: {
+        type: PeerstoreRequest.Type.GET_PROTOCOLS,
+        id: peerId.toBytes()
+      }
+    }
+
+    const response = await unaryRequest(this._client, request, codes.ERR_PEERSTORE_GET_PROTOCOLS_FAILED, options)
+
+    return response.peerStore.protos
+  }
+
+  /**
+   * Get the addresses the daemon has recorded for a peer.
+   *
+   * @param {PeerId} peerId
+   * @param {RequestOptions} [options]
+   * @returns {PeerInfo}
+   */
+  async getPeerInfo (peerId, options = {}) {
+    if (!PeerID.isPeerId(peerId)) {
+      throw errcode(new Error('invalid peer id received'), codes.ERR_INVALID_PEER_ID)
+    }
+
+    const request = {
+      type: Request.Type.PEERSTORE,
+      peerStore: {
+        type: PeerstoreRequest.Type.GET_PEER_INFO,
+        id: peerId.toBytes()
+      }
+    }
+
+    const response = await unaryRequest(this._client, request, codes.ERR_PEERSTORE_GET_PEER_INFO_FAILED, options)
+
+    return {
+      id: PeerID.createFromBytes(response.peerStore.peer.id),
+      addrs: response.peerStore.peer.addrs.map((a) => new Multiaddr(a))
+    }
+  }
+}
+
+module.exports = Peerstore
@@ -0,0 +1,322 @@
+'use strict'
+
+const errcode = require('err-code')
+const { codes } = require('./errors')
+const StreamHandler = require('libp2p-daemon/src/stream-handler')
+
+/**
+ * A bounded pool of connections to the daemon. The daemon answers requests
+ * sent over a connection one after the other, so each connection carries a
+ * single unary request at a time and is reused once its response was read.
+ */
+class Pool {
+  /**
+   * @class
+   * @param {Object} options
+   * @param {function(): Promise<MultiaddrConnection>} options.connect - dials the daemon
+   * @param {number} [options.maxSize] - max number of open connections (default: 4)
+   * @param {number} [options.idleTimeout] - ms after which an unused connection is closed (default: 30s)
+   */
+  constructor ({ connect, maxSize = 4, idleTimeout = 30e3 }) {
+    if (!Number.isInteger(maxSize) || maxSize < 1) {
+      throw errcode(new Error('invalid pool size received'), codes.ERR_INVALID_POOL_SIZE)
+    }
+
+    if (typeof idleTimeout !== 'number' || idleTimeout < 0) {
+      throw errcode(new Error('invalid idle timeout received'), codes.ERR_INVALID_IDLE_TIMEOUT)
+    }
+
+    this._connect = connect
+    this._maxSize = maxSize
+    this._idleTimeout = idleTimeout
+    this._size = 0
+    this._idle = []
+    this._waiting = []
+    // connections from a previous generation are closed when released
+    this._generation = 0
+  }
+
+  /**
+   * Number of open connections, idle or in use
+   *
+   * @returns {number}
+   */
+  get size () {
+    return this._size
+  }
+
+  /**
+   * Get a connection for a request, waiting for one to be released if the
+   * pool is at its max size
+   *
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<PooledConnection>}
+   */
+  async acquire (signal) {
+    let idle
+    while ((idle = this._idle.pop())) {
+      clearTimeout(idle.timeout)
+
+      if (!idle.closed) {
+        return idle
+      }
+
+      this.destroy(idle)
+    }
+
+    if (this._size < this._maxSize) {
+      return this._open()
+    }
+
+    // an aborted signal does not fire again, the waiter would never be removed
+    if (signal && signal.aborted) {
+      throw errcode(new Error('request aborted'), codes.ERR_ABORTED)
+    }
+
+    const connection = await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal }
+      waiter.onAbort = () => {
+        this._waiting = this._waiting.filter((w) => w !== waiter)
+        reject(errcode(new Error('request aborted'), codes.ERR_ABORTED))
+      }
+
+      signal && signal.addEventListener('abort', waiter.onAbort, { once: true })
+      this._waiting.push(waiter)
+    })
+
+    // a slot was handed over rather than a connection
+    return connection || this._open({ reserved: true })
+  }
+
+  /**
+   * Return a connection whose request completed to the pool
+   *
+   * @param {PooledConnection} connection
+   */
+  release (connection) {
+    if (connection.closed || connection.generation !== this._generation) {
+      this.destroy(connection)
+      return
+    }
+
+    const waiter = this._nextWaiter()
+    if (waiter) {
+      waiter.resolve(connection)
+      return
+    }
+
+    connection.timeout = setTimeout(() => {
+      this._idle = this._idle.filter((c) => c !== connection)
+      this.destroy(connection)
+    }, this._idleTimeout)
+    this._idle.push(connection)
+  }
+
+  /**
+   * Close a connection whose state is unknown, e.g. after a failed request
+   *
+   * @param {PooledConnection} connection
+   * @returns {Promise<void>}
+   */
+  async destroy (connection) {
+    if (connection.destroyed) {
+      return
+    }
+
+    connection.destroyed = true
+    clearTimeout(connection.timeout)
+    this._idle = this._idle.filter((c) => c !== connection)
+    this._freeSlot()
+
+    // a pending read has to end right away rather than once the daemon
+    // acknowledges the close
+    if (connection.maConn.conn) {
+      connection.maConn.conn.destroy()
+      return
+    }
+
+    try {
+      await connection.maConn.close()
+    } catch (_) {
+      // the connection is unusable either way
+    }
+  }
+
+  /**
+   * Close the idle connections, connections in use are closed once released
+   *
+   * @returns {Promise<void>}
+   */
+  async close () {
+    this._generation++
+
+    await Promise.all(this._idle.map((connection) => this.destroy(connection)))
+  }
+
+  /**
+   * Hand the slot of a closed connection to the next waiter, if any
+   *
+   * @private
+   */
+  _freeSlot () {
+    const waiter = this._nextWaiter()
+    if (waiter) {
+      waiter.resolve()
+    } else {
+      this._size--
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Object|undefined}
+   */
+  _nextWaiter () {
+    const waiter = this._waiting.shift()
+    if (waiter && waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort)
+    }
+    return waiter
+  }
+
+  /**
+   * Dial a new connection. Its lifetime is not tied to the request it is
+   * opened for, so it is dialed without the signal of the request.
+   *
+   * @private
+   * @param {Object} [options]
+   * @param {boolean} [options.reserved] - whether the slot was handed over by a closed connection
+   * @returns {Promise<PooledConnection>}
+   */
+  async _open ({ reserved = false } = {}) {
+    if (!reserved) {
+      this._size++
+    }
+
+    let maConn
+    try {
+      maConn = await this._connect()
+    } catch (err) {
+      this._freeSlot()
+      throw err
+    }
+
+    return new PooledConnection({ maConn, generation: this._generation })
+  }
+}
+
+/**
+ * A connection to the daemon owned by a pool
+ */
+class PooledConnection {
+  /**
+   * @class
+   * @param {Object} options
+   * @param {MultiaddrConnection} options.maConn
+   * @param {number} options.generation
+   */
+  constructor ({ maConn, generation }) {
+    this.maConn = maConn
+    this.generation = generation
+    this.streamHandler = new StreamHandler({ stream: maConn })
+    this.closed = false
+    this.destroyed = false
+
+    // the daemon may go away while the connection is idle
+    maConn.conn && maConn.conn.once('close', () => {
+      this.closed = true
+    })
+  }
+}
+
+/**
+ * The handler of a unary request sent over a pooled connection. Reading the
+ * response returns the connection to the pool, if the request fails or is
+ * aborted the connection is destroyed instead.
+ */
+class PooledRequest {
+  /**
+   * @class
+   * @param {Object} options
+   * @param {Pool} options.pool
+   * @param {PooledConnection} options.connection
+   * @param {RequestController} options.controller - controller of the request
+   */
+  constructor ({ pool, connection, controller }) {
+    this._pool = pool
+    this._connection = connection
+    this._controller = controller
+    this._done = false
+
+    this._onAbort = () => this._finish(false)
+    controller.signal.addEventListener('abort', this._onAbort, { once: true })
+  }
+
+  /**
+   * @param {Uint8Array} message
+   */
+  write (message) {
+    this._connection.streamHandler.write(message)
+  }
+
+  /**
+   * Read the response to the request
+   *
+   * @returns {Promise<Uint8Array|undefined>}
+   */
+  async read () {
+    if (this._done) {
+      return
+    }
+
+    let message
+    try {
+      message = await this._connection.streamHandler.read()
+    } catch (err) {
+      this._finish(false)
+      throw this._controller.error || err
+    }
+
+    if (this._controller.error) {
+      this._finish(false)
+      throw this._controller.error
+    }
+
+    this._finish(Boolean(message))
+    return message
+  }
+
+  /**
+   * Close the request, the connection is destroyed if no response was read
+   *
+   * @returns {void}
+   */
+  close () {
+    this._finish(false)
+  }
+
+  /**
+   * @private
+   * @param {boolean} reusable - whether the connection can be reused
+   */
+  _finish (reusable) {
+    if (this._done) {
+      return
+    }
+
+    this._done = true
+    this._controller.signal.removeEventListener('abort', this._onAbort)
+    this._controller.dispose()
+
+    if (reusable) {
+      this._pool.release(this._connection)
+    } else {
+      this._pool.destroy(this._connection)
+    }
+  }
+}
+
+module.exports = {
+  Pool,
+  PooledRequest
+}
@@ -0,0 +1,51 @@
+import PeerId = require('peer-id')
+import Client = require('./index')
+import Subscription = require('./subscription')
+
+declare namespace Pubsub {
+  interface SubscribeOptions extends Client.RequestOptions {
+    /**
+     * Unsubscribes when aborted
+     */
+    signal?: AbortSignal
+    /**
+     * ms to wait for the subscription to be established
+     */
+    timeout?: number
+    /**
+     * Drop messages that are not signed by their publisher, reported by an `invalid` event
+     */
+    verifySignature?: boolean
+  }
+}
+
+declare class Pubsub {
+  constructor (client: Client)
+
+  /**
+   * Get a list of topics the node is subscribed to
+   */
+  getTopics (options?: Client.RequestOptions): Promise<string[]>
+
+  /**
+   * Get a list of peers the node is connected to that are subscribed to a topic
+   */
+  listPeers (topic: string, options?: Client.RequestOptions): Promise<PeerId[]>
+
+  /**
+   * Alias of `listPeers`
+   */
+  getSubscribers (topic: string, options?: Client.RequestOptions): Promise<PeerId[]>
+
+  /**
+   * Publish data under a topic
+   */
+  publish (topic: string, data: Uint8Array, options?: Client.RequestOptions): Promise<void>
+
+  /**
+   * Request to subscribe a certain topic
+   */
+  subscribe (topic: string, options?: Pubsub.SubscribeOptions): Promise<Subscription>
+}
+
+export = Pubsub
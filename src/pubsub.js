@@ -1,13 +1,18 @@
 'use strict'
 
+const PeerID = require('peer-id')
+const debug = require('debug')
 const errcode = require('err-code')
 
 const {
   Request,
-  Response,
-  PSRequest,
-  PSMessage
+  PSRequest
 } = require('libp2p-daemon/src/protocol')
+const { codes } = require('./errors')
+const { unaryRequest, openRequest } = require('./request')
+const Subscription = require('./subscription')
+
+const log = debug('libp2p:daemon-client:pubsub')
 
 class Pubsub {
   /**
@@ -21,26 +26,58 @@ class Pubsub {
   /**
    * Get a list of topics the node is subscribed to.
    *
+   * @param {RequestOptions} [options]
    * @returns {Array<string>} topics
    */
-  async getTopics () {
-    const sh = await this._client.send({
+  async getTopics (options = {}) {
+    const request = {
       type: Request.Type.PUBSUB,
       pubsub: {
         type: PSRequest.Type.GET_TOPICS
       }
-    })
+    }
 
-    const message = await sh.read()
-    const response = Response.decode(message)
+    const response = await unaryRequest(this._client, request, codes.ERR_PUBSUB_GET_TOPICS_FAILED, options)
 
-    await sh.close()
+    return response.pubsub.topics
+  }
 
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_PUBSUB_GET_TOPICS_FAILED')
+  /**
+   * Get a list of peers the node is connected to that are subscribed to a topic.
+   *
+   * @param {string} topic
+   * @param {RequestOptions} [options]
+   * @returns {Array<PeerId>} peer ids
+   */
+  async listPeers (topic, options = {}) {
+    if (typeof topic !== 'string') {
+      throw errcode(new Error('invalid topic received'), codes.ERR_INVALID_TOPIC)
     }
 
-    return response.pubsub.topics
+    const request = {
+      type: Request.Type.PUBSUB,
+      pubsub: {
+        type: PSRequest.Type.LIST_PEERS,
+        topic
+      }
+    }
+
+    const response = await unaryRequest(this._client, request, codes.ERR_PUBSUB_LIST_PEERS_FAILED, options)
+    const peerIds = response.pubsub.peerIDs.map((peerId) => PeerID.createFromBytes(peerId))
+    log('peers subscribed to %s: %s', topic, peerIds.map((peerId) => peerId.toB58String()).join(', '))
+
+    return peerIds
+  }
+
+  /**
+   * Alias of `listPeers`.
+   *
+   * @param {string} topic
+   * @param {RequestOptions} [options]
+   * @returns {Array<PeerId>} peer ids
+   */
+  getSubscribers (topic, options = {}) {
+    return this.listPeers(topic, options)
   }
 
   /**
@@ -48,69 +85,99 @@ class Pubsub {
    *
    * @param {string} topic
    * @param {Buffer} data
+   * @param {RequestOptions} [options]
    */
-  async publish (topic, data) {
+  async publish (topic, data, options = {}) {
     if (typeof topic !== 'string') {
-      throw errcode(new Error('invalid topic received'), 'ERR_INVALID_TOPIC')
+      throw errcode(new Error('invalid topic received'), codes.ERR_INVALID_TOPIC)
     }
 
     if (!(data instanceof Uint8Array)) {
-      throw errcode(new Error('data received is not a Uint8Array'), 'ERR_INVALID_DATA')
+      throw errcode(new Error('data received is not a Uint8Array'), codes.ERR_INVALID_DATA)
     }
 
-    const sh = await this._client.send({
+    const request = {
       type: Request.Type.PUBSUB,
       pubsub: {
         type: PSRequest.Type.PUBLISH,
         topic,
         data
       }
-    })
-
-    const message = await sh.read()
-    const response = Response.decode(message)
-
-    await sh.close()
-
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_PUBSUB_PUBLISH_FAILED')
     }
+
+    log('publishing %d bytes to %s', data.length, topic)
+    await unaryRequest(this._client, request, codes.ERR_PUBSUB_PUBLISH_FAILED, options)
   }
 
   /**
    * Request to subscribe a certain topic.
    *
    * @param {string} topic
-   * @returns {Iterator<PSMessage>}
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - unsubscribes when aborted
+   * @param {number} [options.timeout] - ms to wait for the subscription to be established
+   * @param {boolean} [options.verifySignature] - drop messages that are not signed by their publisher
+   * @returns {Subscription} async iterable of messages
    */
-  async subscribe (topic) {
+  async subscribe (topic, options = {}) {
     if (typeof topic !== 'string') {
-      throw errcode(new Error('invalid topic received'), 'ERR_INVALID_TOPIC')
+      throw errcode(new Error('invalid topic received'), codes.ERR_INVALID_TOPIC)
+    }
+
+    const { _restore: restore, metrics } = this._client
+
+    const subscription = new Subscription({
+      topic,
+      streamHandler: await this._subscribe(topic, options),
+      signal: options.signal,
+      verifySignature: options.verifySignature,
+      // resubscribing is cancelled by unsubscribing
+      resubscribe: restore && ((signal) => this._subscribe(topic, { signal, retry: false })),
+      interval: restore && restore.interval
+    })
+
+    if (metrics) {
+      metrics.trackSubscription(subscription)
+    }
+
+    if (restore) {
+      // losing the connection of a subscription is how a quick restart of
+      // the daemon may be noticed, the stream handlers are then registered
+      // again with the next health check
+      subscription.on('gap', () => { this._client._daemonLost = true })
     }
 
-    const sh = await this._client.send({
+    const subscriptions = this._client._subscriptions
+    subscriptions.add(subscription)
+    subscription.once('end', () => subscriptions.delete(subscription))
+
+    return subscription
+  }
+
+  /**
+   * Send a subscribe request and wait for the daemon to accept it
+   *
+   * @private
+   * @param {string} topic
+   * @param {RequestOptions} options
+   * @returns {Promise<RequestStreamHandler>}
+   */
+  async _subscribe (topic, options) {
+    const request = {
       type: Request.Type.PUBSUB,
       pubsub: {
         type: PSRequest.Type.SUBSCRIBE,
         topic
       }
-    })
+    }
 
-    let message = await sh.read()
-    let response = Response.decode(message)
+    log('subscribing to %s', topic)
+    const { sh } = await openRequest(this._client, request, codes.ERR_PUBSUB_SUBSCRIBE_FAILED, options)
 
-    if (response.type !== Response.Type.OK) {
-      throw errcode(new Error(response.error.msg), 'ERR_PUBSUB_PUBLISH_FAILED')
-    }
+    // the subscription stays open for as long as the signal allows
+    sh.clearTimeout()
 
-    // stream messages
-    return (async function * () {
-      while (true) {
-        message = await sh.read()
-        response = PSMessage.decode(message)
-        yield response
-      }
-    })()
+    return sh
   }
 }
 
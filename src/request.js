@@ -0,0 +1,295 @@
+'use strict'
+
+const debug = require('debug')
+const errcode = require('err-code')
+const { Response, DHTResponse } = require('libp2p-daemon/src/protocol')
+const { codes, decodeMessage, decodeResponse, requestType } = require('./errors')
+
+const log = debug('libp2p:daemon-client')
+log.error = debug('libp2p:daemon-client:error')
+
+/**
+ * The context of a request, as seen by middleware
+ *
+ * @typedef {Object} RequestContext
+ * @property {Request} request - the request sent to the daemon
+ * @property {RequestOptions} options - the options of the call
+ * @property {Response|null} response - the decoded first response of the daemon
+ * @property {Error|null} error - why the request failed, once completed
+ * @property {number|null} duration - ms from sending the request until it completed
+ */
+
+/**
+ * Run middleware in the order they were added around `inner`
+ *
+ * @param {Array<function(RequestContext, function(): Promise<void>): Promise<void>>} middleware
+ * @param {RequestContext} context
+ * @param {function(): Promise<void>} inner
+ * @param {function(Error): void} onError - called with the rejection of each `next()`, also of the ones a middleware did not await
+ * @returns {Promise<void>}
+ */
+function runMiddleware (middleware, context, inner, onError) {
+  const dispatch = async (i) => {
+    if (i === middleware.length) {
+      return inner()
+    }
+
+    let called = false
+    await middleware[i](context, () => {
+      if (called) {
+        throw errcode(new Error('next() called more than once'), codes.ERR_INVALID_MIDDLEWARE)
+      }
+
+      called = true
+      const result = dispatch(i + 1)
+      result.catch(onError)
+      return result
+    })
+
+    if (!called) {
+      throw errcode(new Error('middleware did not call next()'), codes.ERR_INVALID_MIDDLEWARE)
+    }
+  }
+
+  return dispatch(0)
+}
+
+/**
+ * A request to the daemon, from sending it until its connection is closed.
+ * Every request of the client goes through an exchange, which runs it
+ * through the middleware of the client: `next()` resolves once the request
+ * completed, which for streaming requests is once the stream ended.
+ */
+class Exchange {
+  /**
+   * @class
+   * @param {Object} options
+   * @param {Client} options.client - libp2p daemon client instance
+   * @param {Request} options.request - the request to send
+   * @param {string} options.code - code of the error thrown if the daemon does not complete the request
+   * @param {RequestOptions} [options.options]
+   */
+  constructor ({ client, request, code, options = {} }) {
+    this.client = client
+    this.request = request
+    this.code = code
+    this.options = options
+    this.sh = null
+    this.type = requestType(request)
+
+    /** @type {RequestContext} */
+    this.context = { request, options, response: null, error: null, duration: null }
+
+    this._ended = false
+    this._completed = false
+  }
+
+  /**
+   * Send the request and decode the first response, which must be OK.
+   * The exchange is ended if it fails.
+   *
+   * @returns {Promise<Response>}
+   */
+  async start () {
+    const context = this.context
+    const startedAt = Date.now()
+
+    let accept
+    const accepted = new Promise((resolve) => { accept = resolve })
+    let fail
+    const failed = new Promise((resolve) => { fail = resolve })
+    const completed = new Promise((resolve, reject) => {
+      this._complete = (err) => {
+        context.error = err || null
+        context.duration = Date.now() - startedAt
+
+        if (err) {
+          log.error('%s failed after %dms with %s', this.type, context.duration, err.code, err)
+          reject(err)
+        } else {
+          log('%s completed after %dms', this.type, context.duration)
+          resolve()
+        }
+      }
+    })
+    // rejections are seen by the middleware, or by the caller of start
+    completed.catch(() => {})
+
+    this._chain = runMiddleware(this.client._middleware, context, async () => {
+      try {
+        log('sending %s', this.type)
+        this.sh = await this.client.send(this.request, this.options)
+        context.response = decodeResponse(await this.sh.read(), this.request, this.code)
+        log('received %s for %s', Response.Type[context.response.type], this.type)
+      } catch (err) {
+        this._completed = true
+        this._complete(err)
+        throw err
+      }
+
+      accept()
+      await completed
+    }, fail)
+    this._chain.catch(fail)
+
+    // the chain may settle before the request was accepted, when a middleware
+    // does not await next(), so only a failure of the request or of a
+    // middleware stops waiting for the daemon
+    const failure = await Promise.race([accepted, failed])
+
+    if (failure) {
+      const err = context.error || failure
+      await this.end(err)
+      throw err
+    }
+
+    return context.response
+  }
+
+  /**
+   * Read and decode the next message of a streaming response
+   *
+   * @param {*} type - protocol message type, e.g. `DHTResponse`
+   * @returns {Promise<*>}
+   */
+  async read (type) {
+    return decodeMessage(type, await this.sh.read(), this.request, this.code)
+  }
+
+  /**
+   * Mark the request as completed, once, letting the middleware finish. An
+   * error thrown by a middleware once the request completed fails it.
+   *
+   * @param {Error} [err] - why the request failed
+   * @returns {Promise<void>}
+   */
+  async complete (err) {
+    if (this._completed) {
+      return
+    }
+
+    this._completed = true
+    this._complete(err)
+
+    try {
+      await this._chain
+    } catch (chainErr) {
+      if (chainErr !== err) {
+        throw chainErr
+      }
+    }
+  }
+
+  /**
+   * Close the connection of the request and complete it, once
+   *
+   * @param {Error} [err] - why the request failed
+   * @returns {Promise<void>}
+   */
+  async end (err) {
+    if (this._ended) {
+      return
+    }
+
+    this._ended = true
+
+    if (this.sh) {
+      try {
+        await this.sh.close()
+      } catch (_) {
+        // the request already completed or failed
+      }
+    }
+
+    await this.complete(err)
+  }
+}
+
+/**
+ * Send a request answered by a single response
+ *
+ * @param {Client} client
+ * @param {Request} request
+ * @param {string} code - code of the error thrown if the daemon does not complete the request
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Response>}
+ */
+async function unaryRequest (client, request, code, options) {
+  const exchange = new Exchange({ client, request, code, options })
+
+  try {
+    return await exchange.start()
+  } finally {
+    await exchange.end()
+  }
+}
+
+/**
+ * Send a request answered by a stream of DHT values, delimited by BEGIN and
+ * END messages
+ *
+ * @param {Client} client
+ * @param {Request} request
+ * @param {string} code - code of the error thrown if the daemon does not complete the request
+ * @param {RequestOptions} [options]
+ * @returns {AsyncGenerator<DHTResponse>} the VALUE messages
+ */
+async function * streamRequest (client, request, code, options) {
+  const exchange = new Exchange({ client, request, code, options })
+  await exchange.start()
+
+  let error
+  try {
+    while (true) {
+      const response = await exchange.read(DHTResponse)
+
+      if (response.type === DHTResponse.Type.END) {
+        return
+      }
+
+      if (response.type !== DHTResponse.Type.VALUE) {
+        throw errcode(new Error('unexpected message received'), codes.ERR_UNEXPECTED_MESSAGE_RECEIVED)
+      }
+
+      yield response
+    }
+  } catch (err) {
+    error = err
+    throw err
+  } finally {
+    await exchange.end(error)
+  }
+}
+
+/**
+ * Send a request whose connection stays open once the daemon accepted it,
+ * such as opening a stream or subscribing to a topic. Closing the returned
+ * stream handler is up to the caller.
+ *
+ * @param {Client} client
+ * @param {Request} request
+ * @param {string} code - code of the error thrown if the daemon does not complete the request
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{response: Response, sh: RequestStreamHandler}>}
+ */
+async function openRequest (client, request, code, options) {
+  const exchange = new Exchange({ client, request, code, options })
+  const response = await exchange.start()
+
+  // the request is complete once accepted, the connection is the caller's
+  try {
+    await exchange.complete()
+  } catch (err) {
+    await exchange.end()
+    throw err
+  }
+
+  return { response, sh: exchange.sh }
+}
+
+module.exports = {
+  Exchange,
+  unaryRequest,
+  streamRequest,
+  openRequest
+}
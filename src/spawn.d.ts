@@ -0,0 +1,89 @@
+import PeerId = require('peer-id')
+import { Multiaddr } from 'multiaddr'
+import Client = require('./index')
+
+export interface SpawnOptions {
+  /**
+   * Path of a daemon executable to run instead of an in-process daemon
+   */
+  binary?: string
+  /**
+   * Extra arguments of the daemon executable
+   */
+  args?: string[]
+  /**
+   * Enable the DHT (default: false, always enabled in-process)
+   */
+  dht?: boolean
+  /**
+   * Enable pubsub (default: false)
+   */
+  pubsub?: boolean
+  pubsubRouter?: 'gossipsub' | 'floodsub'
+  /**
+   * Comma separated addresses to listen on for peers (default: a random localhost tcp port)
+   */
+  hostAddrs?: string
+  /**
+   * Path of the private key file of the daemon, a new peer id is created by default
+   */
+  id?: string
+  /**
+   * Path of the control socket, a unique one in the temp directory by default
+   */
+  socketPath?: string
+  /**
+   * ms to wait for the daemon to answer IDENTIFY (default: 10000)
+   */
+  timeout?: number
+  /**
+   * Options of the returned `Client`
+   */
+  client?: Client.ClientOptions
+}
+
+/**
+ * The libp2p node of an in-process daemon, only the parts used by the helpers are declared
+ */
+export interface Libp2p {
+  peerId: PeerId
+  pubsub: {
+    getSubscribers: (topic: string) => string[]
+  }
+}
+
+export interface SpawnedDaemon {
+  /**
+   * Client connected to the daemon
+   */
+  client: Client
+  /**
+   * Peer id of the daemon
+   */
+  peerId: PeerId
+  /**
+   * Addresses the daemon listens on for peers
+   */
+  addrs: Multiaddr[]
+  /**
+   * Address of the daemon's control socket
+   */
+  multiaddr: Multiaddr
+  /**
+   * Path of the daemon's control socket
+   */
+  socketPath: string
+  /**
+   * libp2p node of an in-process daemon
+   */
+  libp2p?: Libp2p
+  /**
+   * Stop the daemon and the client and remove the socket
+   */
+  stop: () => Promise<void>
+}
+
+/**
+ * Start a daemon listening on a unique unix socket and wait until it answers IDENTIFY
+ */
+export function spawnDaemon (options?: SpawnOptions): Promise<SpawnedDaemon>
@@ -0,0 +1,214 @@
+'use strict'
+
+const fs = require('fs')
+const { spawn } = require('child_process')
+const debug = require('debug')
+const errcode = require('err-code')
+const { Multiaddr } = require('multiaddr')
+
+const Client = require('./index')
+const { codes } = require('./errors')
+const { sleep } = require('./util/retry')
+const { createSocketPath } = require('./util')
+
+const log = debug('libp2p:daemon-client:spawn')
+
+/**
+ * @typedef {Object} SpawnedDaemon
+ * @property {Client} client - client connected to the daemon
+ * @property {PeerId} peerId - peer id of the daemon
+ * @property {Array<Multiaddr>} addrs - addresses the daemon listens on for peers
+ * @property {Multiaddr} multiaddr - address of the daemon's control socket
+ * @property {string} socketPath - path of the daemon's control socket
+ * @property {Libp2p} [libp2p] - libp2p node of an in-process daemon
+ * @property {function(): Promise<void>} stop - stop the daemon and the client and remove the socket
+ */
+
+/**
+ * Start a daemon listening on a unique unix socket and wait until it answers
+ * IDENTIFY. The daemon runs in this process with `libp2p-daemon`, or as a
+ * child process of `options.binary`, such as the go `p2pd` or `jsp2pd`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.binary] - path of a daemon executable to run instead of an in-process daemon
+ * @param {Array<string>} [options.args] - extra arguments of the daemon executable
+ * @param {boolean} [options.dht] - enable the DHT (default: false, always enabled in-process)
+ * @param {boolean} [options.pubsub] - enable pubsub (default: false)
+ * @param {string} [options.pubsubRouter] - `gossipsub` or `floodsub`
+ * @param {string} [options.hostAddrs] - comma separated addresses to listen on for peers (default: a random localhost tcp port)
+ * @param {string} [options.id] - path of the private key file of the daemon, a new peer id is created by default
+ * @param {string} [options.socketPath] - path of the control socket, a unique one in the temp directory by default
+ * @param {number} [options.timeout] - ms to wait for the daemon to answer IDENTIFY (default: 10000)
+ * @param {Object} [options.client] - options of the returned `Client`
+ * @returns {Promise<SpawnedDaemon>}
+ */
+async function spawnDaemon (options = {}) {
+  const {
+    binary,
+    args = [],
+    dht = false,
+    pubsub = false,
+    pubsubRouter,
+    hostAddrs = '/ip4/127.0.0.1/tcp/0',
+    id = '',
+    socketPath = createSocketPath('p2pd'),
+    timeout = 10e3
+  } = options
+
+  const multiaddr = new Multiaddr(`/unix${socketPath}`)
+  const daemonOptions = { listen: multiaddr.toString(), hostAddrs, id, dht, pubsub, pubsubRouter }
+
+  log('starting a daemon at %s', socketPath)
+  const stopDaemon = binary
+    ? await spawnProcess(binary, [...toArgs(daemonOptions), ...args])
+    : await startInProcess(daemonOptions)
+
+  const client = new Client(multiaddr, options.client)
+  const stop = async () => {
+    log('stopping the daemon at %s', socketPath)
+    await client.close()
+    await stopDaemon()
+    await fs.promises.rm(socketPath, { force: true })
+  }
+
+  let identity
+  try {
+    identity = await waitForIdentify(client, timeout, stopDaemon.exited)
+  } catch (err) {
+    await stop()
+    throw err
+  }
+
+  return {
+    client,
+    peerId: identity.peerId,
+    addrs: identity.addrs,
+    multiaddr,
+    socketPath,
+    libp2p: stopDaemon.libp2p,
+    stop
+  }
+}
+
+/**
+ * @param {Object} daemonOptions
+ * @returns {Promise<function(): Promise<void>>} stops the daemon
+ */
+async function startInProcess (daemonOptions) {
+  // required lazily, the daemon and libp2p are only needed to spawn daemons
+  const { createDaemon } = require('libp2p-daemon/src/daemon')
+
+  let daemon
+  try {
+    daemon = await createDaemon({ ...daemonOptions, quiet: true, bootstrap: false, bootstrapPeers: '', nat: false })
+    await daemon.start()
+  } catch (err) {
+    throw errcode(new Error(`the daemon failed to start: ${err.message}`), codes.ERR_DAEMON_START_FAILED, { cause: err })
+  }
+
+  const stop = () => daemon.stop()
+  // an in-process daemon does not exit by itself
+  stop.exited = new Promise(() => {})
+  stop.libp2p = daemon.libp2p
+
+  return stop
+}
+
+/**
+ * @param {string} binary
+ * @param {Array<string>} args
+ * @returns {Promise<function(): Promise<void>>} stops the daemon
+ */
+async function spawnProcess (binary, args) {
+  const child = spawn(binary, args, { stdio: ['ignore', 'ignore', 'pipe'] })
+
+  let stderr = ''
+  child.stderr.on('data', (data) => {
+    stderr = (stderr + data).slice(-4096)
+  })
+
+  // rejects if the daemon exits before it is stopped
+  let stopping = false
+  const exited = new Promise((resolve, reject) => {
+    child.once('error', reject)
+    child.once('exit', (code, signal) => {
+      if (stopping) {
+        return resolve()
+      }
+
+      reject(new Error(`exited with ${signal || code}: ${stderr.trim()}`))
+    })
+  }).catch((err) => {
+    throw errcode(new Error(`the daemon failed to start: ${err.message}`), codes.ERR_DAEMON_START_FAILED, { cause: err })
+  })
+  exited.catch(() => {})
+
+  const stop = async () => {
+    if (child.exitCode != null || child.signalCode != null) {
+      return
+    }
+
+    stopping = true
+    const kill = setTimeout(() => child.kill('SIGKILL'), 5e3)
+    child.kill('SIGTERM')
+    await exited.catch(() => {})
+    clearTimeout(kill)
+  }
+  stop.exited = exited
+
+  return stop
+}
+
+/**
+ * The command line flags of the daemon, understood by both `p2pd` and `jsp2pd`
+ *
+ * @param {Object} daemonOptions
+ * @returns {Array<string>}
+ */
+function toArgs (daemonOptions) {
+  const { listen, hostAddrs, id, dht, pubsub, pubsubRouter } = daemonOptions
+  const args = [`--listen=${listen}`, `--hostAddrs=${hostAddrs}`]
+
+  id && args.push(`--id=${id}`)
+  dht && args.push('--dht')
+  pubsub && args.push('--pubsub')
+  pubsubRouter && args.push(`--pubsubRouter=${pubsubRouter}`)
+
+  return args
+}
+
+/**
+ * Identify the daemon until it answers
+ *
+ * @param {Client} client
+ * @param {number} timeout - ms after which to give up
+ * @param {Promise<void>} exited - rejects if the daemon exits
+ * @returns {Promise<{peerId: PeerId, addrs: Array<Multiaddr>}>}
+ */
+async function waitForIdentify (client, timeout, exited) {
+  const deadline = Date.now() + timeout
+  let lastError
+
+  while (Date.now() < deadline) {
+    try {
+      return await Promise.race([
+        client.identify({ timeout: Math.max(deadline - Date.now(), 1), retry: false }),
+        exited
+      ])
+    } catch (err) {
+      if (err.code === codes.ERR_DAEMON_START_FAILED) {
+        throw err
+      }
+
+      lastError = err
+    }
+
+    await sleep(50)
+  }
+
+  throw errcode(new Error(`the daemon did not answer within ${timeout}ms`), codes.ERR_DAEMON_START_FAILED, { cause: lastError })
+}
+
+module.exports = {
+  spawnDaemon
+}
@@ -0,0 +1,79 @@
+'use strict'
+
+const StreamHandler = require('libp2p-daemon/src/stream-handler')
+
+/**
+ * A StreamHandler for the connection of a single daemon request. Once the
+ * request is aborted reads reject with the reason, and closing the handler
+ * releases the request's timeout and signal.
+ */
+class RequestStreamHandler extends StreamHandler {
+  /**
+   * @class
+   * @param {Object} options
+   * @param {*} options.stream - A duplex iterable
+   * @param {RequestController} options.controller - controller of the request
+   */
+  constructor ({ stream, controller }) {
+    super({ stream })
+    this._controller = controller
+  }
+
+  /**
+   * Read and decode message
+   *
+   * @returns {Promise<Uint8Array|undefined>}
+   */
+  async read () {
+    let message
+    try {
+      message = await super.read()
+    } catch (err) {
+      throw this._controller.error || err
+    }
+
+    if (this._controller.error) {
+      throw this._controller.error
+    }
+
+    return message
+  }
+
+  /**
+   * Return the rest of the stream, the request no longer times out
+   *
+   * @returns {*} A duplex iterable
+   */
+  rest () {
+    this._controller.clearTimeout()
+    return super.rest()
+  }
+
+  /**
+   * Close the stream
+   *
+   * @returns {void}
+   */
+  close () {
+    this._controller.dispose()
+    return super.close()
+  }
+
+  /**
+   * Stop the request timing out, for requests that stay open once they succeed
+   */
+  clearTimeout () {
+    this._controller.clearTimeout()
+  }
+
+  /**
+   * Abort the request, tearing down the connection
+   *
+   * @param {Error} [err]
+   */
+  abort (err) {
+    this._controller.abort(err)
+  }
+}
+
+module.exports = RequestStreamHandler
@@ -0,0 +1,127 @@
+import { EventEmitter } from 'events'
+import PeerId = require('peer-id')
+import Client = require('./index')
+
+declare namespace Subscription {
+  /**
+   * A message received on a pubsub topic
+   */
+  interface Message {
+    /**
+     * Peer that published the message
+     */
+    from?: PeerId
+    data: Uint8Array
+    seqno?: bigint
+    topicIDs: string[]
+    signature?: Uint8Array
+    /**
+     * Marshaled public key of the publisher
+     */
+    key?: Uint8Array
+  }
+
+  /**
+   * A period in which messages may have been missed
+   */
+  interface SubscriptionGap {
+    topic: string
+    /**
+     * Why the connection to the daemon was lost
+     */
+    error?: Error
+    /**
+     * When the connection was lost
+     */
+    lostAt: Date
+    /**
+     * When the topic was subscribed again
+     */
+    restoredAt: Date
+  }
+
+  /**
+   * A message dropped as it did not pass signature verification
+   */
+  interface InvalidMessage {
+    topic: string
+    message: Message
+    /**
+     * Why it did not pass verification, with code `ERR_MISSING_SIGNATURE` or `ERR_INVALID_SIGNATURE`
+     */
+    error: Error & { code: 'ERR_MISSING_SIGNATURE' | 'ERR_INVALID_SIGNATURE' }
+  }
+
+  interface SubscriptionOptions {
+    /**
+     * The subscribed topic
+     */
+    topic: string
+    /**
+     * The connection of the subscribe request
+     */
+    streamHandler: Client.RequestConnection & { abort: () => void }
+    /**
+     * Cancels the subscription when aborted
+     */
+    signal?: AbortSignal
+    /**
+     * Drop messages that are not signed by their publisher, reported by an `invalid` event
+     */
+    verifySignature?: boolean
+    /**
+     * Subscribes the topic again
+     */
+    resubscribe?: (signal: AbortSignal) => Promise<Client.RequestConnection & { abort: () => void }>
+    /**
+     * ms between attempts to subscribe again (default: 1000)
+     */
+    interval?: number
+  }
+
+  interface SubscriptionEvents {
+    gap: SubscriptionGap
+    invalid: InvalidMessage
+    end: undefined
+  }
+}
+
+/**
+ * An async iterable of the messages received on a pubsub topic
+ */
+declare class Subscription extends EventEmitter implements AsyncIterableIterator<Subscription.Message> {
+  constructor (options: Subscription.SubscriptionOptions)
+
+  topic: string
+
+  [Symbol.asyncIterator] (): this
+
+  /**
+   * Errors end the subscription
+   */
+  next (): Promise<IteratorResult<Subscription.Message, undefined>>
+
+  /**
+   * Unsubscribe and end the iteration
+   */
+  return (): Promise<IteratorResult<Subscription.Message, undefined>>
+
+  /**
+   * Unsubscribe and throw the error into the iteration, always rejects
+   */
+  throw (err: Error): Promise<IteratorResult<Subscription.Message, undefined>>
+
+  /**
+   * Close the daemon connection backing this subscription
+   */
+  unsubscribe (): Promise<void>
+
+  on<E extends keyof Subscription.SubscriptionEvents> (event: E, listener: (event: Subscription.SubscriptionEvents[E]) => void): this
+  on (event: string | symbol, listener: (...args: any[]) => void): this
+  once<E extends keyof Subscription.SubscriptionEvents> (event: E, listener: (event: Subscription.SubscriptionEvents[E]) => void): this
+  once (event: string | symbol, listener: (...args: any[]) => void): this
+  off<E extends keyof Subscription.SubscriptionEvents> (event: E, listener: (event: Subscription.SubscriptionEvents[E]) => void): this
+  off (event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+export = Subscription
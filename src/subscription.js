@@ -0,0 +1,249 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const debug = require('debug')
+const { PSMessage } = require('libp2p-daemon/src/protocol')
+const { normalizeMessage, verifySignature } = require('./util/message')
+const { sleep } = require('./util/retry')
+
+const log = debug('libp2p:daemon-client:pubsub')
+
+/**
+ * @typedef {Object} SubscriptionGap
+ * @property {string} topic
+ * @property {Error} [error] - why the connection to the daemon was lost
+ * @property {Date} lostAt - when the connection was lost
+ * @property {Date} restoredAt - when the topic was subscribed again
+ */
+
+/**
+ * @typedef {Object} InvalidMessage
+ * @property {string} topic
+ * @property {Message} message - the dropped message
+ * @property {Error} error - why it did not pass verification, with code `ERR_MISSING_SIGNATURE` or `ERR_INVALID_SIGNATURE`
+ */
+
+/**
+ * An async iterable of the messages received on a pubsub topic. The
+ * subscription owns the daemon connection it reads from; ending the
+ * subscription closes that connection so the daemon drops it too.
+ *
+ * When created with `resubscribe`, losing the connection does not end the
+ * subscription. The topic is subscribed again once the daemon is back, and
+ * a `gap` event reports the period in which messages may have been missed.
+ * An `end` event is emitted once the subscription ended.
+ *
+ * When verifying signatures, messages that do not pass verification are
+ * dropped and reported by an `invalid` event, as any peer may publish them.
+ */
+class Subscription extends EventEmitter {
+  /**
+   * @class
+   * @param {Object} options
+   * @param {string} options.topic - the subscribed topic
+   * @param {RequestStreamHandler} options.streamHandler - handler of the daemon connection
+   * @param {AbortSignal} [options.signal] - cancels the subscription when aborted
+   * @param {boolean} [options.verifySignature] - drop messages that are not signed by their publisher
+   * @param {function(AbortSignal): Promise<RequestStreamHandler>} [options.resubscribe] - subscribes the topic again
+   * @param {number} [options.interval] - ms between attempts to subscribe again (default: 1000)
+   */
+  constructor ({ topic, streamHandler, signal, verifySignature = false, resubscribe, interval = 1000 }) {
+    super()
+    this.topic = topic
+    this._sh = streamHandler
+    this._signal = signal
+    this._verifySignature = verifySignature
+    this._resubscribe = resubscribe
+    this._interval = interval
+    // stops subscribing again once unsubscribed
+    this._controller = new AbortController()
+    this._closed = false
+    this._ended = false
+    this._iterator = this._messages()
+
+    this.unsubscribe = this.unsubscribe.bind(this)
+
+    if (signal) {
+      if (signal.aborted) {
+        this.unsubscribe()
+      } else {
+        signal.addEventListener('abort', this.unsubscribe, { once: true })
+      }
+    }
+  }
+
+  /**
+   * Read messages from the daemon until the subscription is closed
+   *
+   * @private
+   * @returns {AsyncGenerator<Message>}
+   */
+  async * _messages () {
+    while (!this._closed) {
+      let message
+      let error
+      try {
+        message = await this._sh.read()
+      } catch (err) {
+        if (this._closed) {
+          return
+        }
+
+        if (!this._resubscribe) {
+          throw err
+        }
+
+        error = err
+      }
+
+      if (!message) {
+        if (!this._resubscribe || this._closed) {
+          return
+        }
+
+        const lostAt = new Date()
+        log('lost the subscription to %s, subscribing again', this.topic)
+        await this._restore()
+
+        if (!this._closed) {
+          log('subscribed to %s again', this.topic)
+          this.emit('gap', { topic: this.topic, error, lostAt, restoredAt: new Date() })
+        }
+
+        continue
+      }
+
+      const decoded = PSMessage.decode(message)
+      const normalized = normalizeMessage(decoded)
+
+      if (this._verifySignature) {
+        try {
+          await verifySignature(decoded, normalized)
+        } catch (err) {
+          log('dropped a message on %s that did not pass verification: %s', this.topic, err.message)
+          this.emit('invalid', { topic: this.topic, message: normalized, error: err })
+          continue
+        }
+      }
+
+      yield normalized
+    }
+  }
+
+  /**
+   * Subscribe the topic again until it succeeds or the subscription is closed
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _restore () {
+    const { signal } = this._controller
+
+    while (!signal.aborted) {
+      let sh
+      try {
+        sh = await this._resubscribe(signal)
+      } catch (_) {
+        await sleep(this._interval, signal)
+        continue
+      }
+
+      this._sh = sh
+
+      if (signal.aborted) {
+        sh.abort()
+        await sh.close()
+      }
+
+      return
+    }
+  }
+
+  /**
+   * Emit `end`, once
+   *
+   * @private
+   */
+  _end () {
+    if (this._ended) {
+      return
+    }
+
+    this._ended = true
+    this.emit('end')
+  }
+
+  [Symbol.asyncIterator] () {
+    return this
+  }
+
+  /**
+   * Errors end the subscription
+   *
+   * @returns {Promise<IteratorResult<Message>>}
+   */
+  async next () {
+    let result
+    try {
+      result = await this._iterator.next()
+    } catch (err) {
+      await this.unsubscribe()
+      throw err
+    }
+
+    if (result.done) {
+      this._end()
+    }
+
+    return result
+  }
+
+  /**
+   * Unsubscribe and end the iteration, called when breaking out of a `for await` loop
+   *
+   * @returns {Promise<IteratorResult<Message>>}
+   */
+  async return () {
+    await this.unsubscribe()
+    return { done: true, value: undefined }
+  }
+
+  /**
+   * Unsubscribe and throw the error into the iteration
+   *
+   * @param {Error} err
+   * @returns {Promise<IteratorResult<Message>>}
+   */
+  async throw (err) {
+    await this.unsubscribe()
+    throw err
+  }
+
+  /**
+   * Close the daemon connection backing this subscription. Any pending
+   * `next()` call resolves as done.
+   *
+   * @returns {Promise}
+   */
+  async unsubscribe () {
+    if (this._closed) {
+      return
+    }
+
+    this._closed = true
+    log('unsubscribing from %s', this.topic)
+
+    if (this._signal) {
+      this._signal.removeEventListener('abort', this.unsubscribe)
+    }
+
+    // abort any pending read or resubscribe, then end the connection
+    this._controller.abort()
+    this._sh.abort()
+    await this._sh.close()
+    await this._iterator.return()
+    this._end()
+  }
+}
+
+module.exports = Subscription
@@ -0,0 +1,91 @@
+'use strict'
+
+const errcode = require('err-code')
+const { codes } = require('../errors')
+
+/**
+ * Combines the optional `signal` and `timeout` given to a client method into
+ * the signal of a single daemon request. The reason the request was aborted
+ * is kept in `error`, with the code `ERR_ABORTED` or `ERR_TIMEOUT`.
+ */
+class RequestController {
+  /**
+   * @class
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - aborts the request
+   * @param {number} [options.timeout] - ms after which the request is aborted
+   */
+  constructor ({ signal, timeout } = {}) {
+    if (timeout != null && !(typeof timeout === 'number' && timeout > 0)) {
+      throw errcode(new Error('invalid timeout received'), codes.ERR_INVALID_TIMEOUT)
+    }
+
+    this._controller = new AbortController()
+    this._signal = signal
+    this._onAbort = () => this.abort()
+    this.error = null
+
+    if (signal) {
+      if (signal.aborted) {
+        this.abort()
+      } else {
+        signal.addEventListener('abort', this._onAbort, { once: true })
+      }
+    }
+
+    if (timeout != null && !this.aborted) {
+      this._timeout = setTimeout(() => {
+        this.abort(errcode(new Error(`request timed out after ${timeout}ms`), codes.ERR_TIMEOUT))
+      }, timeout)
+    }
+  }
+
+  /**
+   * @returns {AbortSignal}
+   */
+  get signal () {
+    return this._controller.signal
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get aborted () {
+    return this._controller.signal.aborted
+  }
+
+  /**
+   * Abort the request
+   *
+   * @param {Error} [err] - the reason, defaults to an `ERR_ABORTED` error
+   */
+  abort (err = errcode(new Error('request aborted'), codes.ERR_ABORTED)) {
+    if (this.aborted) {
+      return
+    }
+
+    this.error = err
+    this.dispose()
+    this._controller.abort()
+  }
+
+  /**
+   * Stop the timeout, the request can still be aborted by the signal
+   */
+  clearTimeout () {
+    clearTimeout(this._timeout)
+  }
+
+  /**
+   * Stop the timeout and stop following the signal
+   */
+  dispose () {
+    this.clearTimeout()
+
+    if (this._signal) {
+      this._signal.removeEventListener('abort', this._onAbort)
+    }
+  }
+}
+
+module.exports = RequestController
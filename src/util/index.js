@@ -1,6 +1,15 @@
 'use strict'
 
-const { resolve } = require('path')
+const os = require('os')
+const { join, resolve } = require('path')
+const { Multiaddr } = require('multiaddr')
+const errcode = require('err-code')
+const { codes } = require('../errors')
+const {
+  Request,
+  DHTRequest,
+  PSRequest
+} = require('libp2p-daemon/src/protocol')
 
 exports.passThroughUpgrader = {
   upgradeInbound: maConn => maConn,
@@ -25,3 +34,119 @@ function multiaddrToNetConfig (addr) {
 }
 
 module.exports.multiaddrToNetConfig = multiaddrToNetConfig
+
+/**
+ * Creates a unique unix socket path in the tmp dir
+ *
+ * @param {string} prefix - start of the socket name
+ * @returns {string}
+ */
+function createSocketPath (prefix) {
+  return join(os.tmpdir(), `${prefix}-${process.pid}-${Math.random().toString(36).slice(2)}.sock`)
+}
+
+module.exports.createSocketPath = createSocketPath
+
+/**
+ * Creates a fresh address a client can listen on for connections from the
+ * daemon at `daemonAddr`. Unix socket daemons get a unique socket in the
+ * tmp dir, tcp daemons a random local port.
+ *
+ * @param {Multiaddr} daemonAddr
+ * @returns {Multiaddr}
+ */
+function createListenAddr (daemonAddr) {
+  if (daemonAddr.getPath()) {
+    return new Multiaddr(`/unix${createSocketPath('libp2p-daemon-client')}`)
+  }
+
+  return new Multiaddr('/ip4/127.0.0.1/tcp/0')
+}
+
+module.exports.createListenAddr = createListenAddr
+
+/**
+ * Normalizes a protocol, or a list of protocols in order of preference,
+ * into a non empty list of protocols
+ *
+ * @param {string|Array<string>} protocols
+ * @returns {Array<string>}
+ */
+function toProtocols (protocols) {
+  if (typeof protocols === 'string') {
+    return [protocols]
+  }
+
+  if (!Array.isArray(protocols) || !protocols.length || !protocols.every((p) => typeof p === 'string')) {
+    throw errcode(new Error('invalid protocol received'), codes.ERR_INVALID_PROTOCOL)
+  }
+
+  return protocols
+}
+
+module.exports.toProtocols = toProtocols
+
+/**
+ * Whether the daemon answers a request with a single response message,
+ * after which the connection can carry another request
+ *
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isUnaryRequest (request) {
+  switch (request.type) {
+    case Request.Type.STREAM_OPEN:
+      return false
+    case Request.Type.DHT:
+      return ![
+        DHTRequest.Type.FIND_PROVIDERS,
+        DHTRequest.Type.GET_CLOSEST_PEERS,
+        DHTRequest.Type.SEARCH_VALUE
+      ].includes(request.dht.type)
+    case Request.Type.PUBSUB:
+      return request.pubsub.type !== PSRequest.Type.SUBSCRIBE
+    default:
+      return true
+  }
+}
+
+module.exports.isUnaryRequest = isUnaryRequest
+
+/**
+ * Whether sending a request twice has the same effect as sending it once.
+ * Publishing a message or writing to the DHT is not retried by default.
+ *
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isIdempotentRequest (request) {
+  switch (request.type) {
+    case Request.Type.DHT:
+      return ![
+        DHTRequest.Type.PUT_VALUE,
+        DHTRequest.Type.PROVIDE
+      ].includes(request.dht.type)
+    case Request.Type.PUBSUB:
+      return request.pubsub.type !== PSRequest.Type.PUBLISH
+    default:
+      return true
+  }
+}
+
+module.exports.isIdempotentRequest = isIdempotentRequest
+
+/**
+ * Whether a request failed as the daemon could not be reached or dropped
+ * the connection, as when it restarts
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isConnectionLost (err) {
+  const cause = err.cause || {}
+
+  return ['ECONNREFUSED', 'ECONNRESET', 'ENOENT', 'EPIPE'].includes(err.code) ||
+    cause.code === codes.ERR_EMPTY_RESPONSE
+}
+
+module.exports.isConnectionLost = isConnectionLost
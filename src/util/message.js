@@ -0,0 +1,105 @@
+'use strict'
+
+const PeerID = require('peer-id')
+const errcode = require('err-code')
+const { codes } = require('../errors')
+const { concat: uint8ArrayConcat } = require('uint8arrays/concat')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+const { toString: uint8ArrayToString } = require('uint8arrays/to-string')
+const { PSMessage } = require('libp2p-daemon/src/protocol')
+
+const SignPrefix = uint8ArrayFromString('libp2p-pubsub:')
+
+/**
+ * @typedef {Object} Message
+ * @property {PeerId} [from] - peer that published the message
+ * @property {Uint8Array} data
+ * @property {bigint} [seqno]
+ * @property {Array<string>} topicIDs
+ * @property {Uint8Array} [signature]
+ * @property {Uint8Array} [key] - marshaled public key of the publisher
+ */
+
+/**
+ * Decodes the sender of a message. The js daemon sends the base58 encoded
+ * peer id as utf8 bytes instead of the peer id bytes, so support both.
+ *
+ * @param {Uint8Array} from
+ * @returns {PeerId}
+ */
+function decodeFrom (from) {
+  try {
+    return PeerID.createFromBytes(from)
+  } catch (_) {
+    return PeerID.createFromB58String(uint8ArrayToString(from))
+  }
+}
+
+/**
+ * Converts a decoded PSMessage into a Message
+ *
+ * @param {PSMessage} message
+ * @returns {Message}
+ */
+function normalizeMessage (message) {
+  const has = (bytes) => Boolean(bytes && bytes.length)
+
+  return {
+    from: has(message.from) ? decodeFrom(message.from) : undefined,
+    data: message.data,
+    seqno: has(message.seqno) ? BigInt(`0x${uint8ArrayToString(message.seqno, 'base16')}`) : undefined,
+    topicIDs: message.topicIDs,
+    signature: has(message.signature) ? message.signature : undefined,
+    key: has(message.key) ? message.key : undefined
+  }
+}
+
+/**
+ * Verifies the signature of a message was made by its publisher
+ *
+ * @param {PSMessage} message - the message as received from the daemon
+ * @param {Message} normalized - the normalized message
+ * @returns {Promise<void>}
+ */
+async function verifySignature (message, normalized) {
+  if (!normalized.signature || !normalized.from) {
+    throw errcode(new Error('message is not signed'), codes.ERR_MISSING_SIGNATURE)
+  }
+
+  let pubKey = normalized.from.pubKey
+
+  if (normalized.key) {
+    const keyPeerId = await PeerID.createFromPubKey(normalized.key)
+
+    if (!keyPeerId.equals(normalized.from)) {
+      throw errcode(new Error('public key does not match the publisher'), codes.ERR_INVALID_SIGNATURE)
+    }
+
+    pubKey = keyPeerId.pubKey
+  }
+
+  if (!pubKey) {
+    throw errcode(new Error('public key of the publisher is unknown'), codes.ERR_MISSING_SIGNATURE)
+  }
+
+  // PSMessage shares its field numbers with the pubsub RPC message that was
+  // signed, so re-encoding the fields received without the signature and key
+  // reproduces the signed bytes
+  const { signature, key, ...fields } = message
+  const bytes = uint8ArrayConcat([
+    SignPrefix,
+    PSMessage.encode({
+      ...fields,
+      from: normalized.from.toBytes()
+    }).finish()
+  ])
+
+  if (!await pubKey.verify(bytes, normalized.signature)) {
+    throw errcode(new Error('invalid message signature'), codes.ERR_INVALID_SIGNATURE)
+  }
+}
+
+module.exports = {
+  normalizeMessage,
+  verifySignature
+}
@@ -0,0 +1,102 @@
+'use strict'
+
+const errcode = require('err-code')
+const { codes: errorCodes } = require('../errors')
+
+/**
+ * Decides whether a request whose connection to the daemon could not be
+ * established is attempted again, and how long to wait before doing so.
+ * Delays grow exponentially from `minDelay` up to `maxDelay`, and `jitter`
+ * randomly shortens each delay by up to that fraction so clients that lost
+ * the daemon together do not reconnect in lockstep.
+ */
+class RetryPolicy {
+  /**
+   * @class
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - attempts including the first one (default: 3)
+   * @param {number} [options.minDelay] - ms to wait before the first retry (default: 100)
+   * @param {number} [options.maxDelay] - max ms to wait between attempts (default: 5000)
+   * @param {number} [options.factor] - growth of the delay per attempt (default: 2)
+   * @param {number} [options.jitter] - fraction of the delay that is randomized, between 0 and 1 (default: 0.5)
+   * @param {Array<string>} [options.codes] - error codes that are retried (default: ECONNREFUSED, ENOENT)
+   * @param {boolean} [options.nonIdempotent] - also retry requests that change state, such as publish and put (default: false)
+   */
+  constructor ({
+    maxAttempts = 3,
+    minDelay = 100,
+    maxDelay = 5000,
+    factor = 2,
+    jitter = 0.5,
+    codes = ['ECONNREFUSED', 'ENOENT'],
+    nonIdempotent = false
+  } = {}) {
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      throw errcode(new Error('invalid max attempts received'), errorCodes.ERR_INVALID_RETRY_OPTIONS)
+    }
+
+    if (![minDelay, maxDelay, factor].every((n) => typeof n === 'number' && n >= 0)) {
+      throw errcode(new Error('invalid retry delay received'), errorCodes.ERR_INVALID_RETRY_OPTIONS)
+    }
+
+    if (typeof jitter !== 'number' || jitter < 0 || jitter > 1) {
+      throw errcode(new Error('invalid jitter received'), errorCodes.ERR_INVALID_RETRY_OPTIONS)
+    }
+
+    if (!Array.isArray(codes)) {
+      throw errcode(new Error('invalid retryable codes received'), errorCodes.ERR_INVALID_RETRY_OPTIONS)
+    }
+
+    this.maxAttempts = maxAttempts
+    this.minDelay = minDelay
+    this.maxDelay = maxDelay
+    this.factor = factor
+    this.jitter = jitter
+    this.codes = codes
+    this.nonIdempotent = nonIdempotent
+  }
+
+  /**
+   * @param {Error} err - error of the failed attempt
+   * @param {number} attempt - number of the failed attempt, starting at 1
+   * @returns {boolean}
+   */
+  shouldRetry (err, attempt) {
+    return attempt < this.maxAttempts && this.codes.includes(err.code)
+  }
+
+  /**
+   * @param {number} attempt - number of the failed attempt, starting at 1
+   * @returns {number} ms to wait before the next attempt
+   */
+  delay (attempt) {
+    const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt - 1))
+
+    return delay - delay * this.jitter * Math.random()
+  }
+}
+
+/**
+ * Wait for `ms`, or until the signal aborts
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep (ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timeout)
+      signal && signal.removeEventListener('abort', done)
+      resolve()
+    }
+
+    const timeout = setTimeout(done, ms)
+    signal && signal.addEventListener('abort', done, { once: true })
+  })
+}
+
+module.exports = {
+  RetryPolicy,
+  sleep
+}
@@ -0,0 +1,152 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+
+const { createDaemon } = require('libp2p-daemon/src/daemon')
+const Client = require('../src')
+const { Request, Response, ConnManagerRequest } = require('libp2p-daemon/src/protocol')
+
+const { getMultiaddr, createPeerId } = require('./utils')
+const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
+
+describe('daemon connection manager client', function () {
+  this.timeout(30e3)
+
+  const daemonOpts = (addr) => ({
+    quiet: false,
+    q: false,
+    bootstrap: false,
+    b: false,
+    dht: false,
+    dhtClient: false,
+    connMgr: false,
+    listen: addr || defaultMultiaddr.toString(),
+    id: '',
+    bootstrapPeers: ''
+  })
+
+  let daemon
+  let client
+  let peerId
+
+  before(async function () {
+    daemon = await createDaemon(daemonOpts())
+    await daemon.start()
+
+    peerId = await createPeerId()
+  })
+
+  after(async () => {
+    await daemon.stop()
+  })
+
+  beforeEach(() => {
+    client = new Client(defaultMultiaddr)
+  })
+
+  afterEach(async () => {
+    sinon.restore()
+    await client && client.close()
+  })
+
+  describe('tagPeer', () => {
+    it('should send a tag peer request', async () => {
+      const send = sinon.spy(client, 'send')
+      sinon.stub(Response, 'decode').returns({ type: Response.Type.OK })
+
+      await client.connManager.tagPeer(peerId, 'important', 10)
+
+      const request = send.getCall(0).args[0]
+      expect(request.type).to.equal(Request.Type.CONNMANAGER)
+      expect(request.connManager.type).to.equal(ConnManagerRequest.Type.TAG_PEER)
+      expect(request.connManager.peer).to.equalBytes(peerId.toBytes())
+      expect(request.connManager.tag).to.equal('important')
+      expect(request.connManager.weight).to.equal(10)
+    })
+
+    it('should error if receive an error message', async () => {
+      sinon.stub(Response, 'decode').returns({
+        type: 'ERROR',
+        error: {
+          msg: 'mock error'
+        }
+      })
+
+      await expect(client.connManager.tagPeer(peerId, 'important', 10))
+        .to.eventually.be.rejectedWith('mock error')
+        .and.to.have.property('code', 'ERR_CONN_MANAGER_TAG_PEER_FAILED')
+    })
+
+    it('should error if receive an invalid peerId', async () => {
+      await expect(client.connManager.tagPeer('peerId', 'important', 10))
+        .to.eventually.be.rejected.with.property('code', 'ERR_INVALID_PEER_ID')
+    })
+
+    it('should error if receive an invalid tag', async () => {
+      await expect(client.connManager.tagPeer(peerId, 5, 10))
+        .to.eventually.be.rejected.with.property('code', 'ERR_INVALID_TAG')
+    })
+
+    it('should error if receive an invalid weight', async () => {
+      await expect(client.connManager.tagPeer(peerId, 'important', '10'))
+        .to.eventually.be.rejected.with.property('code', 'ERR_INVALID_WEIGHT')
+    })
+  })
+
+  describe('untagPeer', () => {
+    it('should send an untag peer request', async () => {
+      const send = sinon.spy(client, 'send')
+      sinon.stub(Response, 'decode').returns({ type: Response.Type.OK })
+
+      await client.connManager.untagPeer(peerId, 'important')
+
+      const request = send.getCall(0).args[0]
+      expect(request.type).to.equal(Request.Type.CONNMANAGER)
+      expect(request.connManager.type).to.equal(ConnManagerRequest.Type.UNTAG_PEER)
+      expect(request.connManager.peer).to.equalBytes(peerId.toBytes())
+      expect(request.connManager.tag).to.equal('important')
+    })
+
+    it('should error if receive an error message', async () => {
+      sinon.stub(Response, 'decode').returns({
+        type: 'ERROR',
+        error: {
+          msg: 'mock error'
+        }
+      })
+
+      await expect(client.connManager.untagPeer(peerId, 'important'))
+        .to.eventually.be.rejected.with.property('code', 'ERR_CONN_MANAGER_UNTAG_PEER_FAILED')
+    })
+
+    it('should error if receive an invalid peerId', async () => {
+      await expect(client.connManager.untagPeer('peerId', 'important'))
+        .to.eventually.be.rejected.with.property('code', 'ERR_INVALID_PEER_ID')
+    })
+
+    it('should error if receive an invalid tag', async () => {
+      await expect(client.connManager.untagPeer(peerId, null))
+        .to.eventually.be.rejected.with.property('code', 'ERR_INVALID_TAG')
+    })
+  })
+
+  describe('trim', () => {
+    it('should send a trim request', async () => {
+      const send = sinon.spy(client, 'send')
+      sinon.stub(Response, 'decode').returns({ type: Response.Type.OK })
+
+      await client.connManager.trim()
+
+      const request = send.getCall(0).args[0]
+      expect(request.type).to.equal(Request.Type.CONNMANAGER)
+      expect(request.connManager.type).to.equal(ConnManagerRequest.Type.TRIM)
+    })
+
+    it('should error if the daemon does not support it', async () => {
+      await expect(client.connManager.trim())
+        .to.eventually.be.rejected.with.property('code', 'ERR_CONN_MANAGER_TRIM_FAILED')
+    })
+  })
+})
@@ -7,13 +7,16 @@ const sinon = require('sinon')
 const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
 
 const { createDaemon } = require('libp2p-daemon/src/daemon')
+const PeerID = require('peer-id')
 const Client = require('../src')
+const { codes } = require('../src/errors')
 const { ends } = require('../src/util/iterator')
-const { Response } = require('libp2p-daemon/src/protocol')
+const { Response, DHTRequest, DHTResponse } = require('libp2p-daemon/src/protocol')
 
 const { CID } = require('multiformats/cid')
+const { collect } = require('streaming-iterables')
 
-const { getMultiaddr, createPeerId } = require('./utils')
+const { getMultiaddr, createPeerId, mockStreamHandler } = require('./utils')
 const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
 
 describe('daemon dht client', function () {
@@ -176,6 +179,81 @@ describe('daemon dht client', function () {
     })
   })
 
+  describe('searchValue', () => {
+    let daemon
+    let client
+
+    const key = uint8ArrayFromString('/key')
+
+    before(async function () {
+      daemon = await createDaemon(daemonOpts())
+      await daemon.start()
+    })
+
+    after(async () => {
+      await daemon.stop()
+    })
+
+    afterEach(async () => {
+      sinon.restore()
+      await client && client.close()
+    })
+
+    it('should yield each value found', async () => {
+      const values = [uint8ArrayFromString('value-1'), uint8ArrayFromString('value-2')]
+      client = new Client(defaultMultiaddr)
+
+      const sh = mockStreamHandler([
+        Response.encode({ type: Response.Type.OK, dht: { type: DHTResponse.Type.BEGIN } }).finish(),
+        ...values.map((value) => DHTResponse.encode({ type: DHTResponse.Type.VALUE, value }).finish()),
+        DHTResponse.encode({ type: DHTResponse.Type.END }).finish()
+      ])
+      const send = sinon.stub(client, 'send').resolves(sh)
+
+      const results = []
+      for await (const value of client.dht.searchValue(key)) {
+        results.push(value)
+      }
+
+      const request = send.getCall(0).args[0]
+      expect(request.dht.type).to.equal(DHTRequest.Type.SEARCH_VALUE)
+      expect(request.dht.key).to.equalBytes(key)
+
+      expect(results).to.have.lengthOf(2)
+      expect(results[0]).to.equalBytes(values[0])
+      expect(results[1]).to.equalBytes(values[1])
+      expect(sh.close.called).to.be.true()
+    })
+
+    it('should error if receive an unexpected message', async () => {
+      client = new Client(defaultMultiaddr)
+
+      const sh = mockStreamHandler([
+        Response.encode({ type: Response.Type.OK, dht: { type: DHTResponse.Type.BEGIN } }).finish(),
+        DHTResponse.encode({ type: DHTResponse.Type.BEGIN }).finish()
+      ])
+      sinon.stub(client, 'send').resolves(sh)
+
+      await expect(collect(client.dht.searchValue(key))).to.eventually.be.rejected
+        .with.property('code', 'ERR_UNEXPECTED_MESSAGE_RECEIVED')
+      expect(sh.close.called).to.be.true()
+    })
+
+    it('should error if the daemon does not support it', async () => {
+      client = new Client(defaultMultiaddr)
+
+      await expect(collect(client.dht.searchValue(key))).to.eventually.be.rejected
+        .with.property('code', 'ERR_DHT_SEARCH_VALUE_FAILED')
+    })
+
+    it('should error if receive an invalid key', async () => {
+      client = new Client(defaultMultiaddr)
+
+      await expect(collect(client.dht.searchValue('/key'))).to.eventually.be.rejected
+        .with.property('code', 'ERR_INVALID_KEY')
+    })
+  })
+
   describe('findPeer', () => {
     const addr2 = getMultiaddr('/tmp/p2pd-2.sock', 9090)
     let daemonA
@@ -365,6 +443,24 @@ describe('daemon dht client', function () {
       expect(providers.length).to.equal(0)
     })
 
+    it('should error if it times out', async () => {
+      const silentAddr = getMultiaddr('/tmp/p2pd-silent.sock', 9092)
+      const cid = CID.parse('QmVzw6MPsF96TyXBSRs1ptLoVMWRv5FCYJZZGJSVB2Hp38')
+
+      // accepts requests but never answers them
+      const silentDaemon = new Client(silentAddr)
+      await silentDaemon.start(silentAddr, () => {})
+
+      client = new Client(silentAddr)
+
+      try {
+        await expect(collect(client.dht.findProviders(cid, 1, { timeout: 100 }))).to.eventually.be.rejected
+          .with.property('code', 'ERR_TIMEOUT')
+      } finally {
+        await silentDaemon.close()
+      }
+    })
+
     it('should be able to find providers', async () => {
       const cid = CID.parse('QmVzw6MPsF96TyXBSRs1ptLoVMWRv5FCYJZZGJSVB2Hp38')
 
@@ -534,9 +630,15 @@ describe('daemon dht client', function () {
     })
 
     afterEach(async () => {
+      sinon.restore()
       await client && client.close()
     })
 
+    // answer the request of the client with a public key, the daemon would look for the peer
+    const respondWith = (value) => sinon.stub(client, 'send').resolves(mockStreamHandler([
+      Response.encode({ type: Response.Type.OK, dht: { type: DHTResponse.Type.VALUE, value } }).finish()
+    ]))
+
     it('should be able to get the public key', async () => {
       client = new Client(defaultMultiaddr)
 
@@ -567,6 +669,30 @@ describe('daemon dht client', function () {
       }
 
       expect(result).to.exist()
+      expect(result.verify).to.be.a('function')
+      expect((await PeerID.createFromPubKey(result.bytes)).equals(identify.peerId)).to.be.true()
+    })
+
+    it('should error if the public key is not the key of the peer', async () => {
+      const [peerId, other] = await Promise.all([createPeerId(), createPeerId()])
+      client = new Client(defaultMultiaddr)
+
+      respondWith(other.pubKey.bytes)
+
+      await expect(client.dht.getPublicKey(peerId)).to.eventually.be.rejected
+        .with.property('code', codes.ERR_PUBLIC_KEY_MISMATCH)
+    })
+
+    it('should error if the public key does not unmarshal', async () => {
+      const peerId = await createPeerId()
+      client = new Client(defaultMultiaddr)
+
+      respondWith(uint8ArrayFromString('not a key'))
+
+      const err = await client.dht.getPublicKey(peerId).catch((err) => err)
+
+      expect(err).to.have.property('code', codes.ERR_DHT_GET_PUBLIC_KEY_FAILED)
+      expect(err).to.have.nested.property('cause.code', codes.ERR_INVALID_RESPONSE)
     })
 
     it.skip('should error if it cannot find the peer', async () => {
@@ -0,0 +1,134 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Client = require('../src')
+const { codes, daemonError, decodeResponse, requestType } = require('../src/errors')
+const { Request, Response, DHTRequest, DHTResponse } = require('libp2p-daemon/src/protocol')
+
+const { CID } = require('multiformats/cid')
+const { collect } = require('streaming-iterables')
+
+const { getMultiaddr, mockStreamHandler } = require('./utils')
+const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
+
+describe('daemon client errors', () => {
+  const key = uint8ArrayFromString('/key')
+  const getValue = { type: Request.Type.DHT, dht: { type: DHTRequest.Type.GET_VALUE, key } }
+  const errorResponse = (msg) => Response.encode({ type: Response.Type.ERROR, error: { msg } }).finish()
+
+  let client
+
+  beforeEach(() => {
+    client = new Client(defaultMultiaddr)
+  })
+
+  afterEach(async () => {
+    sinon.restore()
+    await client.close()
+  })
+
+  it('should export the error codes', () => {
+    expect(Client.codes).to.equal(codes)
+    expect(codes.ERR_DHT_GET_FAILED).to.equal('ERR_DHT_GET_FAILED')
+  })
+
+  it('should name the type of a request', () => {
+    expect(requestType({ type: Request.Type.IDENTIFY })).to.equal('IDENTIFY')
+    expect(requestType(getValue)).to.equal('DHT.GET_VALUE')
+  })
+
+  it('should keep the daemon message, the request type and the cause', () => {
+    const cause = new Error('cause')
+    const err = daemonError(codes.ERR_DHT_GET_FAILED, getValue, {
+      response: { type: Response.Type.ERROR, error: { msg: 'not found' } },
+      cause
+    })
+
+    expect(err).to.have.property('code', codes.ERR_DHT_GET_FAILED)
+    expect(err).to.have.property('message', 'not found')
+    expect(err).to.have.property('daemonMessage', 'not found')
+    expect(err).to.have.property('requestType', 'DHT.GET_VALUE')
+    expect(err).to.have.property('cause', cause)
+  })
+
+  const decodeError = (message) => {
+    try {
+      decodeResponse(message, getValue, codes.ERR_DHT_GET_FAILED)
+    } catch (err) {
+      return err
+    }
+  }
+
+  it('should error if the daemon did not respond', () => {
+    for (const message of [undefined, new Uint8Array(0)]) {
+      const err = decodeError(message)
+
+      expect(err).to.have.property('code', codes.ERR_DHT_GET_FAILED)
+      expect(err).to.have.property('message', 'unspecified')
+      expect(err).to.have.nested.property('cause.code', codes.ERR_EMPTY_RESPONSE)
+    }
+  })
+
+  it('should error if the response does not decode', () => {
+    const err = decodeError(Uint8Array.from([0xff, 0xff]))
+
+    expect(err).to.have.property('code', codes.ERR_DHT_GET_FAILED)
+    expect(err).to.have.nested.property('cause.code', codes.ERR_INVALID_RESPONSE)
+  })
+
+  it('should error if identify receives an error without details', async () => {
+    sinon.stub(client, 'send').resolves(mockStreamHandler([
+      Response.encode({ type: Response.Type.ERROR }).finish()
+    ]))
+
+    await expect(client.identify()).to.eventually.be.rejectedWith('unspecified')
+      .and.to.have.property('code', codes.ERR_IDENTIFY_FAILED)
+  })
+
+  it('should error if identify receives an empty response', async () => {
+    sinon.stub(client, 'send').resolves(mockStreamHandler([]))
+
+    await expect(client.identify()).to.eventually.be.rejected
+      .with.property('code', codes.ERR_IDENTIFY_FAILED)
+  })
+
+  it('should describe the failed request', async () => {
+    sinon.stub(client, 'send').resolves(mockStreamHandler([errorResponse('routing: not found')]))
+
+    const err = await client.dht.get(key).catch((err) => err)
+
+    expect(err).to.have.property('code', codes.ERR_DHT_GET_FAILED)
+    expect(err).to.have.property('daemonMessage', 'routing: not found')
+    expect(err).to.have.property('requestType', 'DHT.GET_VALUE')
+  })
+
+  it('should error with its own code if getClosestPeers fails', async () => {
+    sinon.stub(client, 'send').resolves(mockStreamHandler([errorResponse('mock error')]))
+
+    await expect(collect(client.dht.getClosestPeers(key))).to.eventually.be.rejectedWith('mock error')
+      .and.to.have.property('code', codes.ERR_DHT_GET_CLOSEST_PEERS_FAILED)
+  })
+
+  it('should error if the daemon ends a stream of values early', async () => {
+    const cid = CID.parse('QmVzw6MPsF96TyXBSRs1ptLoVMWRv5FCYJZZGJSVB2Hp38')
+    sinon.stub(client, 'send').resolves(mockStreamHandler([
+      Response.encode({ type: Response.Type.OK, dht: { type: DHTResponse.Type.BEGIN } }).finish()
+    ]))
+
+    await expect(collect(client.dht.findProviders(cid))).to.eventually.be.rejected
+      .with.property('code', codes.ERR_DHT_FIND_PROVIDERS_FAILED)
+  })
+
+  it('should error with its own code if subscribe fails', async () => {
+    const sh = mockStreamHandler([errorResponse('mock error')])
+    sinon.stub(client, 'send').resolves(sh)
+
+    await expect(client.pubsub.subscribe('topic')).to.eventually.be.rejectedWith('mock error')
+      .and.to.have.property('code', codes.ERR_PUBSUB_SUBSCRIBE_FAILED)
+    expect(sh.close.called).to.be.true()
+  })
+})
@@ -0,0 +1,144 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+
+const { createDaemon } = require('libp2p-daemon/src/daemon')
+const Client = require('../src')
+
+const PeerId = require('peer-id')
+
+const { getMultiaddr, waitFor } = require('./utils')
+const healthMultiaddr = getMultiaddr('/tmp/p2pd-health.sock', 9096)
+
+describe('daemon client health', function () {
+  this.timeout(30e3)
+
+  const daemonOpts = () => ({
+    quiet: false,
+    q: false,
+    bootstrap: false,
+    b: false,
+    dht: false,
+    dhtClient: false,
+    connMgr: false,
+    listen: healthMultiaddr.toString(),
+    id: '',
+    bootstrapPeers: ''
+  })
+
+  const startDaemon = async () => {
+    const daemon = await createDaemon(daemonOpts())
+    await daemon.start()
+    return daemon
+  }
+
+  const nextEvent = (emitter, event) => new Promise((resolve) => emitter.once(event, resolve))
+
+  let daemon
+  let client
+
+  afterEach(async () => {
+    sinon.restore()
+    await client && client.close()
+    daemon && await daemon.stop()
+    daemon = null
+  })
+
+  it('should emit daemon:up when the daemon is reachable', async () => {
+    daemon = await startDaemon()
+    client = new Client(healthMultiaddr)
+
+    const up = nextEvent(client, 'daemon:up')
+    const status = await client.health.check()
+
+    expect(status.reachable).to.be.true()
+    expect(status.latency).to.be.a('number')
+    expect(PeerId.isPeerId(status.peerId)).to.be.true()
+
+    const event = await up
+    expect(event.peerId.equals(status.peerId)).to.be.true()
+    expect(client.health.reachable).to.be.true()
+  })
+
+  it('should emit daemon:down once while the daemon is unreachable', async () => {
+    client = new Client(healthMultiaddr)
+
+    const down = sinon.spy()
+    client.on('daemon:down', down)
+
+    const status = await client.health.check()
+    await client.health.check()
+
+    expect(status.reachable).to.be.false()
+    expect(status.error).to.exist()
+    expect(down.callCount).to.equal(1)
+    expect(down.firstCall.args[0].error).to.equal(status.error)
+    expect(client.health.reachable).to.be.false()
+  })
+
+  it('should follow the daemon restarting with another peer id', async () => {
+    daemon = await startDaemon()
+    client = new Client(healthMultiaddr)
+
+    const up = nextEvent(client, 'daemon:up')
+    client.health.start({ interval: 50 })
+    const { peerId } = await up
+
+    const down = nextEvent(client, 'daemon:down')
+    await daemon.stop()
+    daemon = null
+    await down
+
+    const changed = nextEvent(client, 'daemon:peer-id-changed')
+    daemon = await startDaemon()
+    const event = await changed
+
+    expect(event.previous.equals(peerId)).to.be.true()
+    expect(event.peerId.equals(peerId)).to.be.false()
+    expect(client.health.peerId.equals(event.peerId)).to.be.true()
+  })
+
+  it('should stop checking when the client closes', async () => {
+    daemon = await startDaemon()
+    client = new Client(healthMultiaddr)
+
+    const identify = sinon.spy(client, 'identify')
+
+    client.health.start({ interval: 50 })
+    expect(client.health.running).to.be.true()
+
+    await client.close()
+    const calls = identify.callCount
+    await new Promise((resolve) => setTimeout(resolve, 200))
+
+    expect(client.health.running).to.be.false()
+    expect(identify.callCount).to.equal(calls)
+  })
+
+  it('should wait for a check in progress when stopped', async () => {
+    client = new Client(healthMultiaddr)
+
+    const identity = { peerId: await PeerId.create({ bits: 512 }), addrs: [] }
+    let completed = 0
+    const identify = sinon.stub(client, 'identify').callsFake(async () => {
+      await new Promise((resolve) => setTimeout(resolve, identify.callCount > 1 ? 200 : 0))
+      completed++
+      return identity
+    })
+
+    client.health.start({ interval: 10 })
+    await waitFor(() => identify.callCount === 2)
+    await client.health.stop()
+
+    expect(completed).to.equal(2)
+  })
+
+  it('should error if receive an invalid interval', () => {
+    client = new Client(healthMultiaddr)
+
+    expect(() => client.health.start({ interval: 0 })).to.throw()
+      .with.property('code', 'ERR_INVALID_INTERVAL')
+  })
+})
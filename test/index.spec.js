@@ -6,11 +6,12 @@ const sinon = require('sinon')
 
 const { createDaemon } = require('libp2p-daemon/src/daemon')
 const Client = require('../src')
-const { Response } = require('libp2p-daemon/src/protocol')
+const MockDaemon = require('../src/mock-daemon')
+const { Request, Response } = require('libp2p-daemon/src/protocol')
 
 const PeerId = require('peer-id')
 
-const { getMultiaddr } = require('./utils')
+const { getMultiaddr, waitFor, isWindows } = require('./utils')
 const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
 
 describe('daemon client', function () {
@@ -40,6 +41,36 @@ describe('daemon client', function () {
     await client1.close()
   })
 
+  it('should only close the server when starting it again', async function () {
+    if (isWindows) {
+      return this.skip()
+    }
+
+    const daemon = new MockDaemon()
+    await daemon.start()
+    const client = new Client(daemon.multiaddr)
+
+    try {
+      await client.handle('/echo/1.0.0', () => {})
+      const subscription = await client.pubsub.subscribe('topic')
+      const end = sinon.spy()
+      subscription.on('end', end)
+
+      await client.start(getMultiaddr('/tmp/p2pd-start.sock'), () => {})
+      await client.start(getMultiaddr('/tmp/p2pd-start-2.sock'), () => {})
+
+      expect(client._handlers.size).to.equal(1)
+      expect(end.called).to.be.false()
+
+      const message = subscription.next()
+      daemon.publish('topic', { data: Uint8Array.from([1]) })
+      expect((await message).value.data).to.equalBytes(Uint8Array.from([1]))
+    } finally {
+      await client.close()
+      await daemon.stop()
+    }
+  })
+
   describe('identify', () => {
     let daemon
     let client
@@ -346,4 +377,167 @@ describe('daemon client', function () {
       }
     })
   })
+
+  describe('disconnect', () => {
+    const addr2 = getMultiaddr('/tmp/p2pd-2.sock', 9090)
+    let daemonA
+    let daemonB
+    let client
+
+    before(async () => {
+      [daemonA, daemonB] = await Promise.all([
+        createDaemon(daemonOpts()),
+        createDaemon(daemonOpts(addr2.toString()))
+      ])
+      await Promise.all([
+        daemonA.start(),
+        daemonB.start()
+      ])
+    })
+
+    after(async () => {
+      await Promise.all([
+        daemonA.stop(),
+        daemonB.stop()
+      ])
+    })
+
+    afterEach(async () => {
+      sinon.restore()
+      await client && client.close()
+    })
+
+    it('should send a disconnect request', async () => {
+      client = new Client(defaultMultiaddr)
+      const identify = await client.identify()
+
+      const send = sinon.spy(client, 'send')
+      sinon.stub(Response, 'decode').returns({ type: Response.Type.OK })
+
+      await client.disconnect(identify.peerId)
+
+      const request = send.getCall(0).args[0]
+      expect(request.type).to.equal(Request.Type.DISCONNECT)
+      expect(request.disconnect.peer).to.equalBytes(identify.peerId.toBytes())
+    })
+
+    it('should error if it receives an error with error property', async () => {
+      client = new Client(defaultMultiaddr)
+      const identify = await client.identify()
+
+      sinon.stub(Response, 'decode').returns({
+        type: 'ERROR',
+        error: {
+          msg: 'mock error'
+        }
+      })
+
+      await expect(client.disconnect(identify.peerId)).to.eventually.be.rejectedWith('mock error')
+        .and.to.have.property('code', 'ERR_DISCONNECT_FAILED')
+    })
+
+    it('should error if it receives an error without details', async () => {
+      client = new Client(defaultMultiaddr)
+      const identify = await client.identify()
+
+      sinon.stub(Response, 'decode').returns({
+        type: 'ERROR'
+      })
+
+      await expect(client.disconnect(identify.peerId)).to.eventually.be.rejectedWith('unspecified')
+        .and.to.have.property('code', 'ERR_DISCONNECT_FAILED')
+    })
+
+    it('should error if it receives an empty response', async () => {
+      client = new Client(defaultMultiaddr)
+      const identify = await client.identify()
+
+      sinon.stub(client, 'send').returns({
+        read: () => { return undefined }
+      })
+
+      await expect(client.disconnect(identify.peerId)).to.eventually.be.rejectedWith('unspecified')
+        .and.to.have.property('code', 'ERR_DISCONNECT_FAILED')
+    })
+
+    it('should error if receive an invalid peerid', async () => {
+      client = new Client(defaultMultiaddr)
+
+      await expect(client.disconnect('peerId')).to.eventually.be.rejected
+        .with.property('code', 'ERR_INVALID_PEER_ID')
+    })
+  })
+
+  describe('request options', () => {
+    const silentAddr = getMultiaddr('/tmp/p2pd-silent.sock', 9092)
+    let daemon
+    let silentDaemon
+    let client
+
+    before(async () => {
+      daemon = await createDaemon(daemonOpts())
+      await daemon.start()
+
+      // accepts requests but never answers them
+      silentDaemon = new Client(silentAddr)
+      await silentDaemon.start(silentAddr, () => {})
+    })
+
+    after(async () => {
+      await daemon.stop()
+      await silentDaemon.close()
+    })
+
+    afterEach(async () => {
+      sinon.restore()
+      await client && client.close()
+    })
+
+    it('should complete a request within its timeout', async () => {
+      client = new Client(defaultMultiaddr)
+
+      const identify = await client.identify({ timeout: 5000 })
+
+      expect(PeerId.isPeerId(identify.peerId)).to.be.true()
+    })
+
+    it('should time out a request and close the daemon connection', async () => {
+      client = new Client(silentAddr)
+
+      const send = sinon.spy(client, 'send')
+
+      await expect(client.identify({ timeout: 100 })).to.eventually.be.rejected
+        .with.property('code', 'ERR_TIMEOUT')
+
+      const sh = await send.returnValues[0]
+      await waitFor(() => sh.stream.conn.destroyed)
+    })
+
+    it('should abort a request when the signal aborts', async () => {
+      client = new Client(silentAddr)
+
+      const controller = new AbortController()
+      setTimeout(() => controller.abort(), 100)
+
+      await expect(client.listPeers({ signal: controller.signal })).to.eventually.be.rejected
+        .with.property('code', 'ERR_ABORTED')
+    })
+
+    it('should not send a request if the signal is already aborted', async () => {
+      client = new Client(defaultMultiaddr)
+
+      const controller = new AbortController()
+      controller.abort()
+
+      await expect(client.identify({ signal: controller.signal })).to.eventually.be.rejected
+        .with.property('code', 'ERR_ABORTED')
+    })
+
+    it('should error if receive an invalid timeout', async () => {
+      client = new Client(defaultMultiaddr)
+
+      await expect(client.identify({ timeout: -1 })).to.eventually.be.rejected
+        .with.property('code', 'ERR_INVALID_TIMEOUT')
+    })
+  })
 })
@@ -0,0 +1,189 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const pipe = require('it-pipe')
+const { collect } = require('streaming-iterables')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Client = require('../src')
+const Metrics = require('../src/metrics')
+const { codes } = require('../src/errors')
+const { Request, Response, DHTRequest } = require('libp2p-daemon/src/protocol')
+
+const { getMultiaddr, mockStreamHandler } = require('./utils')
+const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
+
+describe('daemon client metrics', () => {
+  const identify = { type: Request.Type.IDENTIFY }
+  const getValue = { type: Request.Type.DHT, dht: { type: DHTRequest.Type.GET_VALUE } }
+  const failed = (code) => Object.assign(new Error('failed'), { code })
+
+  describe('Metrics', () => {
+    let metrics
+
+    beforeEach(() => {
+      metrics = new Metrics({ buckets: [10, 100] })
+    })
+
+    it('should error if the buckets are invalid', () => {
+      for (const buckets of ['buckets', [100, 10], [0]]) {
+        expect(() => new Metrics({ buckets })).to.throw()
+          .with.property('code', codes.ERR_INVALID_METRICS_OPTIONS)
+      }
+    })
+
+    it('should count requests, errors and latencies', () => {
+      metrics._observe({ request: identify, error: null, duration: 5 })
+      metrics._observe({ request: identify, error: failed(codes.ERR_TIMEOUT), duration: 50 })
+      metrics._observe({ request: getValue, error: failed(codes.ERR_DHT_GET_FAILED), duration: 500 })
+
+      const snapshot = metrics.snapshot()
+
+      expect(snapshot.requests).to.eql({ IDENTIFY: 2, 'DHT.GET_VALUE': 1 })
+      expect(snapshot.errors).to.eql({ ERR_TIMEOUT: 1, ERR_DHT_GET_FAILED: 1 })
+      expect(snapshot.latency.IDENTIFY).to.eql({ buckets: { 10: 1, 100: 2, '+Inf': 2 }, sum: 55, count: 2 })
+      expect(snapshot.latency['DHT.GET_VALUE']).to.eql({ buckets: { 10: 0, 100: 0, '+Inf': 1 }, sum: 500, count: 1 })
+    })
+
+    it('should count the bytes of a stream until both sides ended', async () => {
+      const written = []
+      const stream = metrics.trackStream({
+        source: [uint8ArrayFromString('hello'), uint8ArrayFromString('!')],
+        sink: async (source) => {
+          for await (const chunk of source) {
+            written.push(chunk)
+          }
+        }
+      })
+
+      expect(metrics.snapshot().streams).to.eql({ active: 1, bytesIn: 0, bytesOut: 0 })
+
+      await stream.source.next()
+
+      expect(metrics.snapshot().streams).to.eql({ active: 1, bytesIn: 5, bytesOut: 0 })
+
+      await stream.sink([uint8ArrayFromString('hi')])
+
+      expect(written).to.have.lengthOf(1)
+      expect(metrics.snapshot().streams).to.eql({ active: 1, bytesIn: 5, bytesOut: 2 })
+
+      await pipe(stream.source, collect)
+
+      expect(metrics.snapshot().streams).to.eql({ active: 0, bytesIn: 6, bytesOut: 2 })
+    })
+
+    it('should not count a write-only stream as active once the sink ended', async () => {
+      const stream = metrics.trackStream({
+        source: [uint8ArrayFromString('hello')],
+        sink: async (source) => {
+          await collect(source)
+        }
+      })
+
+      await pipe([uint8ArrayFromString('hi')], stream.sink)
+
+      expect(metrics.snapshot().streams).to.eql({ active: 0, bytesIn: 0, bytesOut: 2 })
+
+      // reading the source afterwards counts the stream again until it ended
+      await stream.source.next()
+
+      expect(metrics.snapshot().streams).to.eql({ active: 1, bytesIn: 5, bytesOut: 2 })
+
+      await pipe(stream.source, collect)
+
+      expect(metrics.snapshot().streams).to.eql({ active: 0, bytesIn: 5, bytesOut: 2 })
+    })
+
+    it('should not count a read-only stream as active once the source ended', async () => {
+      const written = []
+      const stream = metrics.trackStream({
+        source: [uint8ArrayFromString('hello')],
+        sink: async (source) => {
+          written.push(...await collect(source))
+        }
+      })
+
+      await pipe(stream.source, collect)
+
+      expect(metrics.snapshot().streams).to.eql({ active: 0, bytesIn: 5, bytesOut: 0 })
+
+      // writing to the sink afterwards counts the stream again until it ended
+      const sink = stream.sink([uint8ArrayFromString('hi')])
+
+      expect(metrics.snapshot().streams.active).to.equal(1)
+
+      await sink
+
+      expect(written).to.have.lengthOf(1)
+      expect(metrics.snapshot().streams).to.eql({ active: 0, bytesIn: 5, bytesOut: 2 })
+    })
+
+    it('should render the prometheus text format', () => {
+      metrics._observe({ request: identify, error: failed(codes.ERR_TIMEOUT), duration: 50 })
+
+      const lines = metrics.toPrometheus().split('\n')
+
+      expect(lines).to.include('# TYPE libp2p_daemon_client_requests_total counter')
+      expect(lines).to.include('libp2p_daemon_client_requests_total{type="IDENTIFY"} 1')
+      expect(lines).to.include('libp2p_daemon_client_errors_total{code="ERR_TIMEOUT"} 1')
+      expect(lines).to.include('# TYPE libp2p_daemon_client_request_duration_seconds histogram')
+      expect(lines).to.include('libp2p_daemon_client_request_duration_seconds_bucket{type="IDENTIFY",le="0.01"} 0')
+      expect(lines).to.include('libp2p_daemon_client_request_duration_seconds_bucket{type="IDENTIFY",le="0.1"} 1')
+      expect(lines).to.include('libp2p_daemon_client_request_duration_seconds_bucket{type="IDENTIFY",le="+Inf"} 1')
+      expect(lines).to.include('libp2p_daemon_client_request_duration_seconds_sum{type="IDENTIFY"} 0.05')
+      expect(lines).to.include('libp2p_daemon_client_active_streams 0')
+      expect(lines).to.include('libp2p_daemon_client_active_subscriptions 0')
+    })
+  })
+
+  describe('client', () => {
+    const ok = Response.encode({ type: Response.Type.OK, pubsub: { topics: ['topic'] } }).finish()
+    const error = Response.encode({ type: Response.Type.ERROR, error: { msg: 'mock error' } }).finish()
+
+    let client
+
+    afterEach(async () => {
+      sinon.restore()
+      await client.close()
+    })
+
+    it('should not collect metrics by default', () => {
+      client = new Client(defaultMultiaddr)
+
+      expect(client.metrics).to.not.exist()
+      expect(client._middleware).to.be.empty()
+    })
+
+    it('should count the requests of the client', async () => {
+      client = new Client(defaultMultiaddr, { metrics: true })
+      sinon.stub(client, 'send')
+        .onFirstCall().resolves(mockStreamHandler([ok]))
+        .onSecondCall().resolves(mockStreamHandler([error]))
+
+      await client.pubsub.getTopics()
+      await expect(client.dht.get(uint8ArrayFromString('/key'))).to.eventually.be.rejected()
+
+      const { requests, errors, latency } = client.metrics.snapshot()
+
+      expect(requests).to.eql({ 'PUBSUB.GET_TOPICS': 1, 'DHT.GET_VALUE': 1 })
+      expect(errors).to.eql({ ERR_DHT_GET_FAILED: 1 })
+      expect(latency['DHT.GET_VALUE'].count).to.equal(1)
+    })
+
+    it('should count active subscriptions', async () => {
+      client = new Client(defaultMultiaddr, { metrics: true })
+      sinon.stub(client, 'send').callsFake(async () => mockStreamHandler([ok]))
+
+      const subscription = await client.pubsub.subscribe('topic')
+      await client.pubsub.subscribe('topic').then((subscription) => subscription.unsubscribe())
+
+      expect(client.metrics.snapshot().subscriptions).to.eql({ active: 1 })
+
+      await subscription.next()
+
+      expect(client.metrics.snapshot().subscriptions).to.eql({ active: 0 })
+    })
+  })
+})
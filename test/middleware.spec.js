@@ -0,0 +1,223 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const PeerID = require('peer-id')
+
+const Client = require('../src')
+const { codes } = require('../src/errors')
+const { Request, Response, DHTRequest, DHTResponse, PSRequest } = require('libp2p-daemon/src/protocol')
+
+const { CID } = require('multiformats/cid')
+const { collect } = require('streaming-iterables')
+
+const { getMultiaddr, waitFor, mockStreamHandler } = require('./utils')
+const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
+
+describe('daemon client middleware', () => {
+  const cid = CID.parse('QmVzw6MPsF96TyXBSRs1ptLoVMWRv5FCYJZZGJSVB2Hp38')
+  const ok = Response.encode({ type: Response.Type.OK }).finish()
+  const begin = Response.encode({ type: Response.Type.OK, dht: { type: DHTResponse.Type.BEGIN } }).finish()
+  const error = Response.encode({ type: Response.Type.ERROR, error: { msg: 'mock error' } }).finish()
+  const end = DHTResponse.encode({ type: DHTResponse.Type.END }).finish()
+  const provider = DHTResponse.encode({
+    type: DHTResponse.Type.VALUE,
+    peer: { id: PeerID.createFromB58String('QmYVHdxYjpTbvHH4uGZcFqXbrXWjkMUtmx1Nq7ZwTr2C1g').toBytes(), addrs: [] }
+  }).finish()
+
+  // a middleware recording the context of the requests once they completed
+  const recorder = () => {
+    const contexts = []
+    const middleware = async (context, next) => {
+      try {
+        await next()
+      } finally {
+        contexts.push({ ...context })
+      }
+    }
+
+    return { contexts, middleware }
+  }
+
+  let client
+
+  beforeEach(() => {
+    client = new Client(defaultMultiaddr)
+  })
+
+  afterEach(async () => {
+    sinon.restore()
+    await client.close()
+  })
+
+  it('should only accept functions', () => {
+    expect(() => client.use('middleware')).to.throw()
+      .with.property('code', codes.ERR_INVALID_MIDDLEWARE)
+  })
+
+  it('should see the request, the response and the duration', async () => {
+    const { contexts, middleware } = recorder()
+    sinon.stub(client, 'send').resolves(mockStreamHandler([ok]))
+
+    expect(client.use(middleware)).to.equal(client)
+    await client.dht.provide(cid, { timeout: 1000 })
+
+    expect(contexts).to.have.lengthOf(1)
+    expect(contexts[0].request.dht.type).to.equal(DHTRequest.Type.PROVIDE)
+    expect(contexts[0].options).to.eql({ timeout: 1000 })
+    expect(contexts[0].response.type).to.equal(Response.Type.OK)
+    expect(contexts[0].error).to.be.null()
+    expect(contexts[0].duration).to.be.a('number')
+  })
+
+  it('should see the error of a failed request', async () => {
+    const { contexts, middleware } = recorder()
+    sinon.stub(client, 'send').resolves(mockStreamHandler([error]))
+    client.use(middleware)
+
+    await expect(client.identify()).to.eventually.be.rejected
+      .with.property('code', codes.ERR_IDENTIFY_FAILED)
+
+    expect(contexts).to.have.lengthOf(1)
+    expect(contexts[0].request.type).to.equal(Request.Type.IDENTIFY)
+    expect(contexts[0].error).to.have.property('code', codes.ERR_IDENTIFY_FAILED)
+  })
+
+  it('should complete streaming requests once the stream ended', async () => {
+    const { contexts, middleware } = recorder()
+    sinon.stub(client, 'send').resolves(mockStreamHandler([begin, provider, provider, end]))
+    client.use(middleware)
+
+    const providers = client.dht.findProviders(cid)
+    await providers.next()
+
+    expect(contexts).to.be.empty()
+
+    await collect(providers)
+
+    expect(contexts).to.have.lengthOf(1)
+    expect(contexts[0].request.dht.type).to.equal(DHTRequest.Type.FIND_PROVIDERS)
+    expect(contexts[0].error).to.be.null()
+  })
+
+  it('should see the error of a stream ending early', async () => {
+    const { contexts, middleware } = recorder()
+    sinon.stub(client, 'send').resolves(mockStreamHandler([begin, provider]))
+    client.use(middleware)
+
+    await expect(collect(client.dht.findProviders(cid))).to.eventually.be.rejected
+      .with.property('code', codes.ERR_DHT_FIND_PROVIDERS_FAILED)
+
+    expect(contexts).to.have.lengthOf(1)
+    expect(contexts[0].error).to.have.property('code', codes.ERR_DHT_FIND_PROVIDERS_FAILED)
+  })
+
+  it('should complete subscriptions once accepted', async () => {
+    const { contexts, middleware } = recorder()
+    sinon.stub(client, 'send').resolves(mockStreamHandler([ok]))
+    client.use(middleware)
+
+    const subscription = await client.pubsub.subscribe('topic')
+
+    expect(contexts).to.have.lengthOf(1)
+    expect(contexts[0].request.pubsub.type).to.equal(PSRequest.Type.SUBSCRIBE)
+    expect(contexts[0].error).to.be.null()
+
+    await subscription.unsubscribe()
+  })
+
+  it('should run middleware in the order they were added', async () => {
+    const calls = []
+    sinon.stub(client, 'send').resolves(mockStreamHandler([ok]))
+
+    client
+      .use(async (context, next) => {
+        calls.push('first')
+        await next()
+        calls.push('first done')
+      })
+      .use(async (context, next) => {
+        calls.push('second')
+        await next()
+        calls.push('second done')
+      })
+
+    await client.listPeers()
+
+    expect(calls).to.eql(['first', 'second', 'second done', 'first done'])
+  })
+
+  it('should fail the request if a middleware throws', async () => {
+    const send = sinon.stub(client, 'send').resolves(mockStreamHandler([ok]))
+    client.use(async () => {
+      throw new Error('not allowed')
+    })
+
+    await expect(client.identify()).to.eventually.be.rejectedWith('not allowed')
+    expect(send.called).to.be.false()
+  })
+
+  it('should fail the request if a middleware throws once it completed', async () => {
+    sinon.stub(client, 'send').resolves(mockStreamHandler([ok]))
+    client.use(async (context, next) => {
+      await next()
+      throw new Error('invalid response')
+    })
+
+    await expect(client.identify()).to.eventually.be.rejectedWith('invalid response')
+  })
+
+  it('should complete the request if a middleware does not await next', async () => {
+    const completed = []
+    sinon.stub(client, 'send').resolves(mockStreamHandler([ok]))
+    client.use((context, next) => {
+      next().then(() => completed.push(context.request.type))
+    })
+
+    await client.listPeers()
+    await waitFor(() => completed.length)
+
+    expect(completed).to.eql([Request.Type.LIST_PEERS])
+  })
+
+  it('should fail the request if a middleware does not await next and it fails', async () => {
+    const failed = []
+    sinon.stub(client, 'send').resolves(mockStreamHandler([error]))
+    client.use((context, next) => {
+      next().catch((err) => failed.push(err))
+    })
+
+    await expect(client.identify()).to.eventually.be.rejected
+      .with.property('code', codes.ERR_IDENTIFY_FAILED)
+    await waitFor(() => failed.length)
+
+    expect(failed[0]).to.have.property('code', codes.ERR_IDENTIFY_FAILED)
+  })
+
+  it('should not leave the rejection of an unawaited next unhandled', async () => {
+    const unhandled = sinon.spy()
+    process.on('unhandledRejection', unhandled)
+    sinon.stub(client, 'send').resolves(mockStreamHandler([error]))
+    client.use((context, next) => { next() })
+
+    try {
+      await expect(client.identify()).to.eventually.be.rejected
+        .with.property('code', codes.ERR_IDENTIFY_FAILED)
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    } finally {
+      process.removeListener('unhandledRejection', unhandled)
+    }
+
+    expect(unhandled.called).to.be.false()
+  })
+
+  it('should fail the request if a middleware does not call next', async () => {
+    const send = sinon.stub(client, 'send').resolves(mockStreamHandler([ok]))
+    client.use(async () => {})
+
+    await expect(client.identify()).to.eventually.be.rejected
+      .with.property('code', codes.ERR_INVALID_MIDDLEWARE)
+    expect(send.called).to.be.false()
+  })
+})
@@ -0,0 +1,168 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const fs = require('fs')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Client = require('../src')
+const MockDaemon = require('../src/mock-daemon')
+const { codes } = require('../src/errors')
+const { DHTRequest, DHTResponse } = require('libp2p-daemon/src/protocol')
+
+const { CID } = require('multiformats/cid')
+const { collect } = require('streaming-iterables')
+
+const { isWindows, createPeerId } = require('./utils')
+
+describe('mock daemon', function () {
+  this.timeout(10e3)
+
+  if (isWindows) {
+    return
+  }
+
+  const key = uint8ArrayFromString('/key')
+  const value = uint8ArrayFromString('value')
+
+  let daemon
+  let client
+
+  beforeEach(async () => {
+    daemon = new MockDaemon()
+    await daemon.start()
+    client = new Client(daemon.multiaddr)
+  })
+
+  afterEach(async () => {
+    await client.close()
+    await daemon.stop()
+  })
+
+  it('should identify as its peer id by default', async () => {
+    const identity = await client.identify()
+
+    expect(identity.peerId.equals(daemon.peerId)).to.be.true()
+  })
+
+  it('should record the requests', async () => {
+    await client.dht.put(key, value)
+    await client.listPeers()
+
+    expect(daemon.requests.map(({ type }) => type)).to.eql(['DHT.PUT_VALUE', 'LIST_PEERS'])
+    expect(daemon.requests[0].request.dht.type).to.equal(DHTRequest.Type.PUT_VALUE)
+    expect(daemon.requests[0].request.dht.value).to.equalBytes(value)
+  })
+
+  it('should answer with scripted responses', async () => {
+    daemon.respond('DHT.GET_VALUE', { dht: { type: DHTResponse.Type.VALUE, value } })
+
+    expect(await client.dht.get(key)).to.equalBytes(value)
+  })
+
+  it('should answer with responses created from the request', async () => {
+    daemon.respond('DHT.GET_VALUE', (request) => ({ dht: { type: DHTResponse.Type.VALUE, value: request.dht.key } }))
+
+    expect(await client.dht.get(key)).to.equalBytes(key)
+  })
+
+  it('should answer streaming requests with a stream of messages', async () => {
+    const peerId = await createPeerId()
+    const cid = CID.parse('QmVzw6MPsF96TyXBSRs1ptLoVMWRv5FCYJZZGJSVB2Hp38')
+
+    daemon.respond('DHT.FIND_PROVIDERS', [
+      { dht: { type: DHTResponse.Type.BEGIN } },
+      { type: DHTResponse.Type.VALUE, peer: { id: peerId.toBytes(), addrs: [] } },
+      { type: DHTResponse.Type.END }
+    ])
+
+    const providers = await collect(client.dht.findProviders(cid))
+
+    expect(providers).to.have.lengthOf(1)
+    expect(providers[0].id.equals(peerId)).to.be.true()
+  })
+
+  it('should answer with errors', async () => {
+    daemon.fail('CONNECT', 'dial backoff')
+    const peerId = await createPeerId()
+
+    const err = await client.connect(peerId, []).catch((err) => err)
+
+    expect(err).to.have.property('code', codes.ERR_CONNECT_FAILED)
+    expect(err).to.have.property('daemonMessage', 'dial backoff')
+  })
+
+  it('should answer with an error if a response cannot be created', async () => {
+    daemon.respond('IDENTIFY', () => {
+      throw new Error('no identity')
+    })
+
+    await expect(client.identify()).to.eventually.be.rejectedWith('no identity')
+  })
+
+  it('should use scripts for the given number of requests', async () => {
+    daemon
+      .fail('LIST_PEERS', 'not yet', { times: 2 })
+      .respond('LIST_PEERS', { peers: [{ id: daemon.peerId.toBytes(), addrs: [] }] })
+
+    await expect(client.listPeers()).to.eventually.be.rejectedWith('not yet')
+    await expect(client.listPeers()).to.eventually.be.rejectedWith('not yet')
+    await expect(client.listPeers()).to.eventually.have.lengthOf(1)
+    await expect(client.listPeers()).to.eventually.have.lengthOf(1)
+  })
+
+  it('should delay responses', async () => {
+    daemon.respond('LIST_PEERS', {}, { delay: 200 })
+
+    await expect(client.listPeers({ timeout: 50 })).to.eventually.be.rejected
+      .with.property('code', codes.ERR_TIMEOUT)
+  })
+
+  it('should drop connections', async () => {
+    daemon.drop('IDENTIFY')
+
+    await expect(client.identify()).to.eventually.be.rejected
+      .with.property('code', codes.ERR_IDENTIFY_FAILED)
+  })
+
+  it('should publish messages to subscriptions', async () => {
+    const subscription = await client.pubsub.subscribe('topic')
+
+    expect(daemon.publish('topic', { data: value })).to.equal(1)
+
+    const { value: message } = await subscription.next()
+    expect(message.data).to.equalBytes(value)
+    expect(message.from.equals(daemon.peerId)).to.be.true()
+    expect(message.topicIDs).to.eql(['topic'])
+
+    await subscription.unsubscribe()
+  })
+
+  it('should serve the requests of a connection pool', async () => {
+    const pooled = new Client(daemon.multiaddr, { pool: true })
+
+    await pooled.identify()
+    await pooled.identify()
+
+    expect(daemon.requests).to.have.lengthOf(2)
+    await pooled.close()
+  })
+
+  it('should forget scripts and requests on reset', async () => {
+    daemon.fail('IDENTIFY', 'failure')
+    await client.identify().catch(() => {})
+
+    daemon.reset()
+
+    expect(daemon.requests).to.be.empty()
+    await expect(client.identify()).to.eventually.be.fulfilled()
+  })
+
+  it('should remove the socket once stopped', async () => {
+    expect(fs.existsSync(daemon.socketPath)).to.be.true()
+
+    await daemon.stop()
+
+    expect(fs.existsSync(daemon.socketPath)).to.be.false()
+  })
+})
@@ -0,0 +1,124 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const { codes } = require('../src/errors')
+const { Network, createNetwork, topologies } = require('../src/network')
+
+const { isWindows } = require('./utils')
+
+describe('daemon network', function () {
+  this.timeout(60e3)
+
+  describe('topologies', () => {
+    it('should link daemons in a line', () => {
+      expect(topologies.line(4)).to.eql([[0, 1], [1, 2], [2, 3]])
+    })
+
+    it('should close the ring', () => {
+      expect(topologies.ring(4)).to.eql([[0, 1], [1, 2], [2, 3], [3, 0]])
+      expect(topologies.ring(2)).to.eql([[0, 1]])
+    })
+
+    it('should link every daemon to the first in a star', () => {
+      expect(topologies.star(4)).to.eql([[0, 1], [0, 2], [0, 3]])
+    })
+
+    it('should link every pair in a mesh', () => {
+      expect(topologies.mesh(4)).to.eql([[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]])
+      expect(topologies.mesh(1)).to.eql([])
+    })
+
+    it('should list the neighbours of a daemon', () => {
+      const network = new Network({ size: 4, topology: 'star' })
+
+      expect(network.neighbours(0)).to.eql([1, 2, 3])
+      expect(network.neighbours(2)).to.eql([0])
+    })
+
+    it('should error if the options are invalid', () => {
+      for (const options of [{ size: 0 }, { size: 1.5 }, { size: 3, topology: 'tree' }]) {
+        expect(() => new Network(options)).to.throw()
+          .with.property('code', codes.ERR_INVALID_NETWORK_OPTIONS)
+      }
+    })
+  })
+
+  describe('local daemons', () => {
+    if (isWindows) {
+      return
+    }
+
+    let network
+
+    afterEach(async () => {
+      network && await network.stop()
+      network = null
+    })
+
+    it('should connect the daemons in the topology', async () => {
+      network = await createNetwork({ size: 3, topology: 'line' })
+
+      const peers = await Promise.all(network.clients.map((client) => client.listPeers()))
+      const ids = network.daemons.map(({ peerId }) => peerId.toB58String())
+      const toB58Strings = (peerIds) => peerIds.map((peerId) => peerId.toB58String()).sort()
+      const connected = peers.map(toB58Strings)
+
+      expect(connected[0]).to.eql([ids[1]])
+      expect(connected[1]).to.eql([ids[0], ids[2]].sort())
+      expect(connected[2]).to.eql([ids[1]])
+    })
+
+    it('should wait for the routing tables of the dht', async () => {
+      network = await createNetwork({ size: 3, topology: 'star' })
+
+      await network.waitForDht()
+
+      const [first] = await network.clients[1].dht.getClosestPeers(network.daemons[1].peerId.toBytes()).next()
+        .then(({ value }) => [value])
+      expect(first).to.exist()
+    })
+
+    it('should wait for subscribed neighbours to see each other', async () => {
+      const topic = 'network-topic'
+      const data = uint8ArrayFromString('network-data')
+      network = await createNetwork({ size: 3, topology: 'line', daemon: { pubsub: true } })
+      const [, b, c] = network.daemons
+
+      const subscriptions = await Promise.all([b, c].map(({ client }) => client.pubsub.subscribe(topic)))
+      await network.waitForPubsub(topic)
+
+      const ids = (daemon) => daemon.libp2p.pubsub.getSubscribers(topic).sort()
+      expect(ids(b)).to.eql([c.peerId.toB58String()])
+      expect(ids(c)).to.eql([b.peerId.toB58String()])
+
+      // the first publish reaches the subscribed neighbour
+      const message = subscriptions[0].next()
+      await c.client.pubsub.publish(topic, data)
+      const { value } = await message
+      expect(value.data).to.equalBytes(data)
+
+      await Promise.all(subscriptions.map((subscription) => subscription.unsubscribe()))
+    })
+
+    it('should error if the network does not settle in time', async () => {
+      network = await createNetwork({ size: 2, topology: 'line' })
+
+      // there is a single other peer to find
+      await expect(network.waitForDht({ minPeers: 2, timeout: 300 })).to.eventually.be.rejected
+        .with.property('code', codes.ERR_NOT_SETTLED)
+    })
+
+    it('should stop every daemon', async () => {
+      network = await createNetwork({ size: 2, topology: 'line' })
+      const [client] = network.clients
+
+      await network.stop()
+
+      expect(network.daemons).to.be.empty()
+      await expect(client.identify({ retry: false })).to.eventually.be.rejected()
+    })
+  })
+})
@@ -0,0 +1,147 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+
+const { createDaemon } = require('libp2p-daemon/src/daemon')
+const Client = require('../src')
+const { Response } = require('libp2p-daemon/src/protocol')
+const PeerId = require('peer-id')
+const { Multiaddr } = require('multiaddr')
+
+const { getMultiaddr, createPeerId } = require('./utils')
+const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
+
+describe('daemon peerstore client', function () {
+  this.timeout(30e3)
+
+  const daemonOpts = (addr) => ({
+    quiet: false,
+    q: false,
+    bootstrap: false,
+    b: false,
+    dht: false,
+    dhtClient: false,
+    connMgr: false,
+    listen: addr || defaultMultiaddr.toString(),
+    id: '',
+    bootstrapPeers: ''
+  })
+
+  const addr2 = getMultiaddr('/tmp/p2pd-2.sock', 9090)
+  let daemonA
+  let daemonB
+  let client
+
+  before(async () => {
+    [daemonA, daemonB] = await Promise.all([
+      createDaemon(daemonOpts()),
+      createDaemon(daemonOpts(addr2.toString()))
+    ])
+
+    await Promise.all([
+      daemonA.start(),
+      daemonB.start()
+    ])
+  })
+
+  after(async () => {
+    await Promise.all([
+      daemonA.stop(),
+      daemonB.stop()
+    ])
+  })
+
+  afterEach(async () => {
+    sinon.restore()
+    await client && client.close()
+  })
+
+  describe('getProtocols', () => {
+    it('should get the protocols of a connected peer', async () => {
+      client = new Client(addr2)
+      const identify = await client.identify()
+
+      await client.close()
+
+      client = new Client(defaultMultiaddr)
+      await client.connect(identify.peerId, identify.addrs)
+
+      let protocols = []
+      // Retry until we hit the test timeout since identify runs after connecting
+      while (!protocols.length) {
+        protocols = await client.peerstore.getProtocols(identify.peerId)
+      }
+
+      expect(protocols).to.include('/ipfs/id/1.0.0')
+    })
+
+    it('should error if receive an error message', async () => {
+      client = new Client(addr2)
+      const identify = await client.identify()
+
+      await client.close()
+
+      client = new Client(defaultMultiaddr)
+      await client.connect(identify.peerId, identify.addrs)
+
+      sinon.stub(Response, 'decode').returns({
+        type: 'ERROR',
+        error: {
+          msg: 'mock error'
+        }
+      })
+
+      await expect(client.peerstore.getProtocols(identify.peerId)).to.eventually.be.rejectedWith('mock error')
+        .and.to.have.property('code', 'ERR_PEERSTORE_GET_PROTOCOLS_FAILED')
+    })
+
+    it('should error if receive an invalid peerId', async () => {
+      client = new Client(defaultMultiaddr)
+
+      await expect(client.peerstore.getProtocols('peerId')).to.eventually.be.rejected
+        .with.property('code', 'ERR_INVALID_PEER_ID')
+    })
+  })
+
+  describe('getPeerInfo', () => {
+    it('should decode the peer info', async () => {
+      const peerId = await createPeerId()
+      const addr = new Multiaddr('/ip4/127.0.0.1/tcp/4001')
+      client = new Client(defaultMultiaddr)
+
+      sinon.stub(Response, 'decode').returns({
+        type: Response.Type.OK,
+        peerStore: {
+          peer: {
+            id: peerId.toBytes(),
+            addrs: [addr.bytes]
+          }
+        }
+      })
+
+      const peerInfo = await client.peerstore.getPeerInfo(peerId)
+
+      expect(PeerId.isPeerId(peerInfo.id)).to.be.true()
+      expect(peerInfo.id.toB58String()).to.equal(peerId.toB58String())
+      expect(peerInfo.addrs).to.have.lengthOf(1)
+      expect(peerInfo.addrs[0].equals(addr)).to.be.true()
+    })
+
+    it('should error if the daemon does not support it', async () => {
+      const peerId = await createPeerId()
+      client = new Client(defaultMultiaddr)
+
+      await expect(client.peerstore.getPeerInfo(peerId)).to.eventually.be.rejected
+        .with.property('code', 'ERR_PEERSTORE_GET_PEER_INFO_FAILED')
+    })
+
+    it('should error if receive an invalid peerId', async () => {
+      client = new Client(defaultMultiaddr)
+
+      await expect(client.peerstore.getPeerInfo('peerId')).to.eventually.be.rejected
+        .with.property('code', 'ERR_INVALID_PEER_ID')
+    })
+  })
+})
@@ -0,0 +1,182 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+
+const { createDaemon } = require('libp2p-daemon/src/daemon')
+const Client = require('../src')
+const { Pool } = require('../src/pool')
+
+const PeerId = require('peer-id')
+
+const { getMultiaddr, waitFor } = require('./utils')
+const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
+
+describe('daemon client connection pool', function () {
+  this.timeout(30e3)
+
+  const daemonOpts = (addr) => ({
+    quiet: false,
+    q: false,
+    bootstrap: false,
+    b: false,
+    dht: false,
+    dhtClient: false,
+    connMgr: false,
+    listen: addr || defaultMultiaddr.toString(),
+    id: '',
+    bootstrapPeers: ''
+  })
+
+  let daemon
+  let client
+
+  before(async () => {
+    daemon = await createDaemon(daemonOpts())
+    await daemon.start()
+  })
+
+  after(async () => {
+    await daemon.stop()
+  })
+
+  afterEach(async () => {
+    sinon.restore()
+    await client && client.close()
+  })
+
+  it('should reuse a connection for consecutive requests', async () => {
+    client = new Client(defaultMultiaddr, { pool: true })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    const identify = await client.identify()
+    await client.listPeers()
+    await client.identify()
+
+    expect(PeerId.isPeerId(identify.peerId)).to.be.true()
+    expect(connectDaemon.callCount).to.equal(1)
+    expect(client._pool.size).to.equal(1)
+  })
+
+  it('should not open more connections than the max size', async () => {
+    client = new Client(defaultMultiaddr, { pool: { maxSize: 2 } })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => client.identify())
+    )
+
+    expect(results).to.have.lengthOf(5)
+    expect(connectDaemon.callCount).to.equal(2)
+    expect(client._pool.size).to.equal(2)
+  })
+
+  it('should close connections that stay idle', async () => {
+    client = new Client(defaultMultiaddr, { pool: { idleTimeout: 50 } })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    await client.identify()
+    await waitFor(() => client._pool.size === 0)
+    await client.identify()
+
+    expect(connectDaemon.callCount).to.equal(2)
+  })
+
+  it('should close idle connections when the client closes', async () => {
+    client = new Client(defaultMultiaddr, { pool: true })
+
+    await client.identify()
+    expect(client._pool.size).to.equal(1)
+
+    await client.close()
+    expect(client._pool.size).to.equal(0)
+  })
+
+  it('should keep the connection of a request aborted before it was sent', async () => {
+    client = new Client(defaultMultiaddr, { pool: true })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    const controller = new AbortController()
+    const request = client.identify({ signal: controller.signal })
+    controller.abort()
+
+    await expect(request).to.eventually.be.rejected
+      .with.property('code', 'ERR_ABORTED')
+
+    await client.identify()
+    expect(connectDaemon.callCount).to.equal(1)
+    expect(client._pool.size).to.equal(1)
+  })
+
+  describe('timeouts', () => {
+    const silentAddr = getMultiaddr('/tmp/p2pd-silent.sock', 9092)
+    let silentDaemon
+
+    before(async () => {
+      // accepts requests but never answers them
+      silentDaemon = new Client(silentAddr)
+      await silentDaemon.start(silentAddr, () => {})
+    })
+
+    after(async () => {
+      await silentDaemon.close()
+    })
+
+    it('should time out a pooled request and destroy its connection', async () => {
+      client = new Client(silentAddr, { pool: true })
+
+      await expect(client.identify({ timeout: 100 })).to.eventually.be.rejected
+        .with.property('code', 'ERR_TIMEOUT')
+
+      expect(client._pool.size).to.equal(0)
+    })
+
+    it('should abort a request waiting for a pooled connection', async () => {
+      client = new Client(silentAddr, { pool: { maxSize: 1 } })
+
+      const pending = client.identify({ timeout: 1000 })
+      await expect(client.listPeers({ timeout: 100 })).to.eventually.be.rejected
+        .with.property('code', 'ERR_TIMEOUT')
+      await expect(pending).to.eventually.be.rejected
+        .with.property('code', 'ERR_TIMEOUT')
+
+      expect(client._pool.size).to.equal(0)
+    })
+
+    it('should not wait for a pooled connection if the signal is already aborted', async () => {
+      client = new Client(silentAddr, { pool: { maxSize: 1 } })
+
+      const pending = client.identify({ timeout: 1000 })
+      await waitFor(() => client._pool.size === 1)
+
+      const controller = new AbortController()
+      controller.abort()
+      const start = Date.now()
+
+      await expect(client.listPeers({ signal: controller.signal })).to.eventually.be.rejected
+        .with.property('code', 'ERR_ABORTED')
+      expect(Date.now() - start).to.be.below(500)
+      expect(client._pool._waiting).to.be.empty()
+
+      await expect(pending).to.eventually.be.rejected
+        .with.property('code', 'ERR_TIMEOUT')
+    })
+  })
+
+  describe('options', () => {
+    it('should error if receive an invalid max size', () => {
+      expect(() => new Client(defaultMultiaddr, { pool: { maxSize: 0 } })).to.throw()
+        .with.property('code', 'ERR_INVALID_POOL_SIZE')
+    })
+
+    it('should error if receive an invalid idle timeout', () => {
+      expect(() => new Pool({ connect: () => {}, idleTimeout: -1 })).to.throw()
+        .with.property('code', 'ERR_INVALID_IDLE_TIMEOUT')
+    })
+  })
+})
@@ -5,11 +5,15 @@ const { expect } = require('aegir/utils/chai')
 const sinon = require('sinon')
 
 const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
-const { Response } = require('libp2p-daemon/src/protocol')
+const { concat: uint8ArrayConcat } = require('uint8arrays/concat')
+const { Response, PSRequest, PSMessage } = require('libp2p-daemon/src/protocol')
 const { createDaemon } = require('libp2p-daemon/src/daemon')
 const Client = require('../src')
+const MockDaemon = require('../src/mock-daemon')
+const { normalizeMessage, verifySignature } = require('../src/util/message')
+const PeerId = require('peer-id')
 
-const { getMultiaddr } = require('./utils')
+const { getMultiaddr, createPeerId, waitFor, isWindows } = require('./utils')
 const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
 
 describe('daemon pubsub client', function () {
@@ -88,6 +92,72 @@ describe('daemon pubsub client', function () {
     })
   })
 
+  describe('listPeers', () => {
+    let daemon
+    let client
+
+    before(async function () {
+      daemon = await createDaemon(daemonOpts())
+      await daemon.start()
+    })
+
+    after(() => {
+      return daemon.stop()
+    })
+
+    afterEach(async () => {
+      sinon.restore()
+      await client && client.close()
+    })
+
+    it('should decode the peers subscribed to a topic', async () => {
+      const peerId = await createPeerId()
+      client = new Client(defaultMultiaddr)
+
+      const send = sinon.spy(client, 'send')
+      sinon.stub(Response, 'decode').returns({
+        type: Response.Type.OK,
+        pubsub: {
+          peerIDs: [peerId.toBytes()]
+        }
+      })
+
+      const peers = await client.pubsub.listPeers('test-topic')
+
+      const request = send.getCall(0).args[0]
+      expect(request.pubsub.type).to.equal(PSRequest.Type.LIST_PEERS)
+      expect(request.pubsub.topic).to.equal('test-topic')
+
+      expect(peers).to.have.lengthOf(1)
+      expect(PeerId.isPeerId(peers[0])).to.be.true()
+      expect(peers[0].toB58String()).to.equal(peerId.toB58String())
+    })
+
+    it('should be aliased as getSubscribers', async () => {
+      client = new Client(defaultMultiaddr)
+
+      const listPeers = sinon.stub(client.pubsub, 'listPeers').resolves([])
+
+      await client.pubsub.getSubscribers('test-topic')
+
+      expect(listPeers.calledOnceWith('test-topic')).to.be.true()
+    })
+
+    it('should error if receive an error message', async () => {
+      client = new Client(defaultMultiaddr)
+
+      await expect(client.pubsub.listPeers('test-topic')).to.eventually.be.rejected
+        .with.property('code', 'ERR_PUBSUB_LIST_PEERS_FAILED')
+    })
+
+    it('should error if receive an invalid topic', async () => {
+      client = new Client(defaultMultiaddr)
+
+      await expect(client.pubsub.listPeers(uint8ArrayFromString('test-topic'))).to.eventually.be.rejected
+        .with.property('code', 'ERR_INVALID_TOPIC')
+    })
+  })
+
   describe('subscribe and publish', () => {
     const addr2 = getMultiaddr('/tmp/p2pd-2.sock', 9090)
     let daemonA
@@ -108,6 +178,7 @@ describe('daemon pubsub client', function () {
     })
 
     afterEach(async () => {
+      sinon.restore()
       await Promise.all([
         client1.close(),
         client2.close()
@@ -155,6 +226,102 @@ describe('daemon pubsub client', function () {
       ])
     })
 
+    it('should decode and verify received messages', async () => {
+      const topic = 'test-topic'
+      const data = uint8ArrayFromString('test-data')
+
+      client1 = new Client(defaultMultiaddr)
+      client2 = new Client(addr2)
+
+      const identify2 = await client2.identify()
+      await client1.connect(identify2.peerId, identify2.addrs)
+
+      const subscription = await client1.pubsub.subscribe(topic, { verifySignature: true })
+      const publisher = setInterval(() => client2.pubsub.publish(topic, data), 200)
+
+      let message
+      try {
+        message = (await subscription.next()).value
+      } finally {
+        clearInterval(publisher)
+        await subscription.unsubscribe()
+      }
+
+      expect(PeerId.isPeerId(message.from)).to.be.true()
+      expect(message.from.toB58String()).to.equal(identify2.peerId.toB58String())
+      expect(message.seqno).to.be.a('bigint')
+      expect(message.topicIDs).to.eql([topic])
+      expect(message.data).to.equalBytes(data)
+      expect(message.signature).to.exist()
+    })
+
+    it('should end the iteration and close the daemon connection when unsubscribed', async () => {
+      client1 = new Client(defaultMultiaddr)
+      client2 = new Client(addr2)
+
+      const send = sinon.spy(client1, 'send')
+      const subscription = await client1.pubsub.subscribe('test-topic')
+      const sh = await send.returnValues[0]
+
+      const pending = subscription.next()
+      await subscription.unsubscribe()
+
+      await expect(pending).to.eventually.deep.equal({ done: true, value: undefined })
+      await expect(subscription.next()).to.eventually.have.property('done', true)
+      await waitFor(() => sh.stream.conn.destroyed)
+    })
+
+    it('should unsubscribe when breaking out of a for await loop', async () => {
+      const topic = 'test-topic'
+      const data = uint8ArrayFromString('test-data')
+
+      client1 = new Client(defaultMultiaddr)
+      client2 = new Client(addr2)
+
+      const identify2 = await client2.identify()
+      await client1.connect(identify2.peerId, identify2.addrs)
+
+      const subscription = await client1.pubsub.subscribe(topic)
+      const unsubscribe = sinon.spy(subscription, 'unsubscribe')
+
+      const publisher = setInterval(() => client2.pubsub.publish(topic, data), 200)
+
+      const messages = []
+
+      try {
+        for await (const message of subscription) {
+          messages.push(message)
+
+          if (messages.length === 1) {
+            break
+          }
+        }
+      } finally {
+        clearInterval(publisher)
+      }
+
+      expect(messages[0].data).to.equalBytes(data)
+
+      expect(unsubscribe.called).to.be.true()
+      await expect(subscription.next()).to.eventually.have.property('done', true)
+    })
+
+    it('should unsubscribe when the signal is aborted', async () => {
+      client1 = new Client(defaultMultiaddr)
+      client2 = new Client(addr2)
+
+      const controller = new AbortController()
+      const send = sinon.spy(client1, 'send')
+      const subscription = await client1.pubsub.subscribe('test-topic', { signal: controller.signal })
+      const sh = await send.returnValues[0]
+
+      const pending = subscription.next()
+      controller.abort()
+
+      await expect(pending).to.eventually.have.property('done', true)
+      await waitFor(() => sh.stream.conn.destroyed)
+    })
+
     it('should error if publish receives an invalid topic', async () => {
       const topic = uint8ArrayFromString('test-topic')
       const data = uint8ArrayFromString('test-data')
@@ -223,4 +390,112 @@ describe('daemon pubsub client', function () {
       }
     })
   })
+
+  describe('message signatures', () => {
+    const topic = 'test-topic'
+    const data = uint8ArrayFromString('test-data')
+    let peerId
+
+    const createMessage = async (fields) => {
+      const signature = await peerId.privKey.sign(uint8ArrayConcat([
+        uint8ArrayFromString('libp2p-pubsub:'),
+        PSMessage.encode(fields).finish()
+      ]))
+
+      return PSMessage.decode(PSMessage.encode({
+        ...fields,
+        signature,
+        key: peerId.pubKey.bytes
+      }).finish())
+    }
+
+    before(async () => {
+      peerId = await createPeerId()
+    })
+
+    it('should verify a signed message', async () => {
+      const message = await createMessage({
+        from: peerId.toBytes(),
+        data,
+        seqno: Uint8Array.from([0, 0, 0, 0, 0, 0, 1, 0]),
+        topicIDs: [topic]
+      })
+      const normalized = normalizeMessage(message)
+
+      expect(normalized.seqno).to.equal(256n)
+      await verifySignature(message, normalized)
+    })
+
+    it('should error if the message is not signed', async () => {
+      const message = PSMessage.decode(PSMessage.encode({
+        from: peerId.toBytes(),
+        data,
+        topicIDs: [topic]
+      }).finish())
+
+      await expect(verifySignature(message, normalizeMessage(message))).to.eventually.be.rejected
+        .with.property('code', 'ERR_MISSING_SIGNATURE')
+    })
+
+    it('should error if the message was tampered with', async () => {
+      const message = await createMessage({
+        from: peerId.toBytes(),
+        data,
+        topicIDs: [topic]
+      })
+      message.data = uint8ArrayFromString('tampered-data')
+
+      await expect(verifySignature(message, normalizeMessage(message))).to.eventually.be.rejected
+        .with.property('code', 'ERR_INVALID_SIGNATURE')
+    })
+
+    it('should error if the key does not belong to the publisher', async () => {
+      const otherPeerId = await createPeerId()
+      const message = await createMessage({
+        from: otherPeerId.toBytes(),
+        data,
+        topicIDs: [topic]
+      })
+
+      await expect(verifySignature(message, normalizeMessage(message))).to.eventually.be.rejected
+        .with.property('code', 'ERR_INVALID_SIGNATURE')
+    })
+
+    it('should drop the messages of a subscription that do not pass verification', async function () {
+      if (isWindows) {
+        return this.skip()
+      }
+
+      const daemon = new MockDaemon()
+      await daemon.start()
+      const client = new Client(daemon.multiaddr)
+
+      try {
+        const subscription = await client.pubsub.subscribe(topic, { verifySignature: true })
+        const invalid = sinon.spy()
+        subscription.on('invalid', invalid)
+
+        const tampered = await createMessage({ from: peerId.toBytes(), data, topicIDs: [topic] })
+        tampered.data = uint8ArrayFromString('tampered-data')
+
+        daemon.publish(topic, { from: peerId, data })
+        daemon.publish(topic, tampered)
+        daemon.publish(topic, await createMessage({ from: peerId.toBytes(), data, topicIDs: [topic] }))
+
+        const { value, done } = await subscription.next()
+
+        expect(done).to.be.false()
+        expect(value.data).to.equalBytes(data)
+        expect(invalid.callCount).to.equal(2)
+        expect(invalid.firstCall.args[0].error).to.have.property('code', 'ERR_MISSING_SIGNATURE')
+        expect(invalid.secondCall.args[0].error).to.have.property('code', 'ERR_INVALID_SIGNATURE')
+        expect(invalid.secondCall.args[0].message.data).to.equalBytes(tampered.data)
+
+        await subscription.unsubscribe()
+      } finally {
+        await client.close()
+        await daemon.stop()
+      }
+    })
+  })
 })
@@ -0,0 +1,155 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Client = require('../src')
+const { codes } = require('../src/errors')
+const { unaryRequest, streamRequest, openRequest } = require('../src/request')
+const { Request, Response, DHTRequest, DHTResponse } = require('libp2p-daemon/src/protocol')
+
+const { collect } = require('streaming-iterables')
+
+const { getMultiaddr, mockStreamHandler } = require('./utils')
+const defaultMultiaddr = getMultiaddr('/tmp/p2pd.sock')
+
+describe('daemon client requests', () => {
+  const key = uint8ArrayFromString('/key')
+  const identify = { type: Request.Type.IDENTIFY }
+  const getClosestPeers = { type: Request.Type.DHT, dht: { type: DHTRequest.Type.GET_CLOSEST_PEERS, key } }
+
+  const ok = Response.encode({ type: Response.Type.OK, dht: { type: DHTResponse.Type.BEGIN } }).finish()
+  const error = Response.encode({ type: Response.Type.ERROR, error: { msg: 'mock error' } }).finish()
+  const value = (value) => DHTResponse.encode({ type: DHTResponse.Type.VALUE, value }).finish()
+  const end = DHTResponse.encode({ type: DHTResponse.Type.END }).finish()
+
+  let client
+
+  beforeEach(() => {
+    client = new Client(defaultMultiaddr)
+  })
+
+  afterEach(async () => {
+    sinon.restore()
+    await client.close()
+  })
+
+  describe('unary', () => {
+    it('should return the response and close the connection', async () => {
+      const sh = mockStreamHandler([ok])
+      const send = sinon.stub(client, 'send').resolves(sh)
+
+      const response = await unaryRequest(client, identify, codes.ERR_IDENTIFY_FAILED, { timeout: 100 })
+
+      expect(response.type).to.equal(Response.Type.OK)
+      expect(send.calledOnceWith(identify, { timeout: 100 })).to.be.true()
+      expect(sh.close.calledOnce).to.be.true()
+    })
+
+    it('should close the connection if the daemon errors', async () => {
+      const sh = mockStreamHandler([error])
+      sinon.stub(client, 'send').resolves(sh)
+
+      await expect(unaryRequest(client, identify, codes.ERR_IDENTIFY_FAILED)).to.eventually.be.rejectedWith('mock error')
+        .and.to.have.property('code', codes.ERR_IDENTIFY_FAILED)
+      expect(sh.close.calledOnce).to.be.true()
+    })
+
+    it('should close the connection if reading fails', async () => {
+      const sh = mockStreamHandler([])
+      sh.read.rejects(Object.assign(new Error('timed out'), { code: codes.ERR_TIMEOUT }))
+      sinon.stub(client, 'send').resolves(sh)
+
+      await expect(unaryRequest(client, identify, codes.ERR_IDENTIFY_FAILED)).to.eventually.be.rejected
+        .with.property('code', codes.ERR_TIMEOUT)
+      expect(sh.close.calledOnce).to.be.true()
+    })
+
+    it('should keep the error of the request if closing fails', async () => {
+      const sh = mockStreamHandler([])
+      sh.close.rejects(new Error('close failed'))
+      sinon.stub(client, 'send').resolves(sh)
+
+      await expect(unaryRequest(client, identify, codes.ERR_IDENTIFY_FAILED)).to.eventually.be.rejected
+        .with.property('code', codes.ERR_IDENTIFY_FAILED)
+    })
+
+    it('should close the connection of client methods that fail', async () => {
+      const sh = mockStreamHandler([error])
+      sinon.stub(client, 'send').resolves(sh)
+
+      await expect(client.listPeers()).to.eventually.be.rejected
+        .with.property('code', codes.ERR_LIST_PEERS_FAILED)
+      expect(sh.close.calledOnce).to.be.true()
+    })
+  })
+
+  describe('stream', () => {
+    it('should yield values and close the connection at the end', async () => {
+      const sh = mockStreamHandler([ok, value(key), value(key), end])
+      sinon.stub(client, 'send').resolves(sh)
+
+      const results = await collect(streamRequest(client, getClosestPeers, codes.ERR_DHT_GET_CLOSEST_PEERS_FAILED))
+
+      expect(results).to.have.lengthOf(2)
+      expect(results[0].value).to.equalBytes(key)
+      expect(sh.close.calledOnce).to.be.true()
+    })
+
+    it('should close the connection when the consumer stops early', async () => {
+      const sh = mockStreamHandler([ok, value(key), value(key), end])
+      sinon.stub(client, 'send').resolves(sh)
+
+      for await (const result of streamRequest(client, getClosestPeers, codes.ERR_DHT_GET_CLOSEST_PEERS_FAILED)) {
+        if (result) {
+          break
+        }
+      }
+
+      expect(sh.read.callCount).to.equal(2)
+      expect(sh.close.calledOnce).to.be.true()
+    })
+
+    it('should close the connection if the stream ends early', async () => {
+      const sh = mockStreamHandler([ok, value(key)])
+      sinon.stub(client, 'send').resolves(sh)
+
+      await expect(collect(streamRequest(client, getClosestPeers, codes.ERR_DHT_GET_CLOSEST_PEERS_FAILED))).to.eventually.be.rejected
+        .with.nested.property('cause.code', codes.ERR_EMPTY_RESPONSE)
+      expect(sh.close.calledOnce).to.be.true()
+    })
+
+    it('should error if receive an unexpected message', async () => {
+      const sh = mockStreamHandler([ok, ok])
+      sinon.stub(client, 'send').resolves(sh)
+
+      await expect(collect(streamRequest(client, getClosestPeers, codes.ERR_DHT_GET_CLOSEST_PEERS_FAILED))).to.eventually.be.rejected
+        .with.property('code', codes.ERR_UNEXPECTED_MESSAGE_RECEIVED)
+      expect(sh.close.calledOnce).to.be.true()
+    })
+  })
+
+  describe('open', () => {
+    it('should keep the connection open once accepted', async () => {
+      const sh = mockStreamHandler([ok])
+      sinon.stub(client, 'send').resolves(sh)
+
+      const result = await openRequest(client, identify, codes.ERR_IDENTIFY_FAILED)
+
+      expect(result.sh).to.equal(sh)
+      expect(result.response.type).to.equal(Response.Type.OK)
+      expect(sh.close.called).to.be.false()
+    })
+
+    it('should close the connection if not accepted', async () => {
+      const sh = mockStreamHandler([error])
+      sinon.stub(client, 'send').resolves(sh)
+
+      await expect(openRequest(client, identify, codes.ERR_IDENTIFY_FAILED)).to.eventually.be.rejected
+        .with.property('code', codes.ERR_IDENTIFY_FAILED)
+      expect(sh.close.calledOnce).to.be.true()
+    })
+  })
+})
@@ -0,0 +1,269 @@
+/* eslint-env mocha */
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const { createDaemon } = require('libp2p-daemon/src/daemon')
+const Client = require('../src')
+
+const { getMultiaddr, createPeerId, waitFor } = require('./utils')
+const restoreMultiaddr = getMultiaddr('/tmp/p2pd-restore.sock', 9098)
+const addr2 = getMultiaddr('/tmp/p2pd-restore-2.sock', 9100)
+
+describe('daemon client restore', function () {
+  this.timeout(30e3)
+
+  const daemonOpts = (addr) => ({
+    quiet: false,
+    q: false,
+    bootstrap: false,
+    b: false,
+    dht: false,
+    dhtClient: false,
+    connMgr: false,
+    listen: addr.toString(),
+    id: '',
+    bootstrapPeers: '',
+    pubsub: true
+  })
+
+  const startDaemon = async (addr) => {
+    const daemon = await createDaemon(daemonOpts(addr))
+    await daemon.start()
+    return daemon
+  }
+
+  const nextEvent = (emitter, event) => new Promise((resolve) => emitter.once(event, resolve))
+
+  let daemon
+  let daemon2
+  let client
+  let client2
+
+  before(async () => {
+    daemon2 = await startDaemon(addr2)
+    client2 = new Client(addr2)
+  })
+
+  after(async () => {
+    await client2.close()
+    await daemon2.stop()
+  })
+
+  beforeEach(async () => {
+    daemon = await startDaemon(restoreMultiaddr)
+  })
+
+  afterEach(async () => {
+    sinon.restore()
+    await client && client.close()
+    daemon && await daemon.stop()
+    daemon = null
+  })
+
+  const restartDaemon = async () => {
+    await daemon.stop()
+    daemon = null
+    daemon = await startDaemon(restoreMultiaddr)
+  }
+
+  it('should resubscribe and report the gap after the daemon restarts', async () => {
+    const topic = 'restore-topic'
+    const data = uint8ArrayFromString('restore-data')
+    client = new Client(restoreMultiaddr, { restore: { interval: 50 } })
+
+    const subscription = await client.pubsub.subscribe(topic)
+    const message = subscription.next()
+    const gap = nextEvent(subscription, 'gap')
+
+    await restartDaemon()
+
+    const event = await gap
+    expect(event.topic).to.equal(topic)
+    expect(event.lostAt).to.be.an.instanceOf(Date)
+    expect(event.restoredAt.getTime()).to.be.at.least(event.lostAt.getTime())
+
+    // messages published on the restarted daemon reach the subscription
+    const { peerId, addrs } = await client.identify()
+    await client2.connect(peerId, addrs)
+    const publisher = setInterval(() => client2.pubsub.publish(topic, data), 200)
+
+    try {
+      const { value } = await message
+      expect(value.data).to.equalBytes(data)
+    } finally {
+      clearInterval(publisher)
+      await subscription.unsubscribe()
+    }
+  })
+
+  it('should end the subscription when the daemon stops without restore', async () => {
+    client = new Client(restoreMultiaddr)
+
+    const subscription = await client.pubsub.subscribe('restore-topic')
+    const message = subscription.next()
+
+    await daemon.stop()
+    daemon = null
+
+    const result = await message.catch(() => ({ done: true }))
+    expect(result.done).to.be.true()
+  })
+
+  it('should stop resubscribing when unsubscribed', async () => {
+    client = new Client(restoreMultiaddr, { restore: { interval: 50 } })
+
+    const subscription = await client.pubsub.subscribe('restore-topic')
+    const message = subscription.next()
+    const gap = sinon.spy()
+    subscription.on('gap', gap)
+
+    await daemon.stop()
+    daemon = null
+
+    await new Promise((resolve) => setTimeout(resolve, 200))
+    await subscription.unsubscribe()
+
+    const result = await message
+    expect(result.done).to.be.true()
+    expect(gap.called).to.be.false()
+  })
+
+  it('should stop resubscribing when the client closes', async () => {
+    client = new Client(restoreMultiaddr, { restore: { interval: 200 } })
+
+    const subscription = await client.pubsub.subscribe('restore-topic')
+    const message = subscription.next()
+    const end = sinon.spy()
+    subscription.on('end', end)
+
+    await daemon.stop()
+    daemon = null
+
+    const send = sinon.spy(client, 'send')
+    await waitFor(() => send.called)
+    await client.close()
+
+    const result = await message
+    expect(result.done).to.be.true()
+    expect(end.calledOnce).to.be.true()
+
+    const attempts = send.callCount
+    await new Promise((resolve) => setTimeout(resolve, 500))
+    expect(send.callCount).to.equal(attempts)
+  })
+
+  it('should register stream handlers again after the daemon restarts', async () => {
+    const protocol = '/restore/1.0.0'
+    client = new Client(restoreMultiaddr, { restore: { interval: 50 } })
+
+    let onStream
+    const handled = new Promise((resolve) => { onStream = resolve })
+    await client.handle(protocol, ({ stream }) => {
+      onStream()
+      stream.sink([])
+    })
+
+    // wait for the health checks to know the daemon
+    await waitFor(() => client.health.reachable)
+
+    const restored = nextEvent(client, 'daemon:restored')
+    await restartDaemon()
+    const event = await restored
+
+    expect(event.protocols).to.deep.equal([protocol])
+
+    const { peerId, addrs } = await client.identify()
+    await client2.connect(peerId, addrs)
+    const { stream } = await client2.openStream(peerId, protocol)
+
+    await handled
+    await stream.sink([])
+  })
+
+  describe('quick restarts with the same peer id', () => {
+    const keyPath = path.join(os.tmpdir(), 'p2pd-restore.key')
+    const protocol = '/restore/1.0.0'
+
+    // restarts the daemon within a health check interval, which does not notice it
+    const restartQuickly = async () => {
+      await daemon.stop()
+      daemon = await createDaemon({ ...daemonOpts(restoreMultiaddr), id: keyPath })
+      await daemon.start()
+    }
+
+    before(async () => {
+      const peerId = await createPeerId()
+      await fs.promises.writeFile(keyPath, peerId.privKey.bytes)
+    })
+
+    after(async () => {
+      await fs.promises.rm(keyPath, { force: true })
+    })
+
+    beforeEach(async () => {
+      await daemon.stop()
+      daemon = await createDaemon({ ...daemonOpts(restoreMultiaddr), id: keyPath })
+      await daemon.start()
+
+      client = new Client(restoreMultiaddr, { restore: { interval: 1000 } })
+      await client.handle(protocol, () => {})
+      await waitFor(() => client.health.reachable)
+    })
+
+    it('should register stream handlers again once a subscription lost its connection', async () => {
+      const subscription = await client.pubsub.subscribe('restore-topic')
+      const message = subscription.next()
+      const down = sinon.spy()
+      client.on('daemon:down', down)
+      const gap = nextEvent(subscription, 'gap')
+      const restored = nextEvent(client, 'daemon:restored')
+
+      await restartQuickly()
+      await gap
+      const event = await restored
+
+      expect(event.protocols).to.deep.equal([protocol])
+      expect(down.called).to.be.false()
+
+      await subscription.unsubscribe()
+      expect((await message).done).to.be.true()
+    })
+
+    it('should register stream handlers again once a request could not reach the daemon', async () => {
+      const down = sinon.spy()
+      client.on('daemon:down', down)
+      const restored = nextEvent(client, 'daemon:restored')
+
+      await daemon.stop()
+      await expect(client.listPeers()).to.eventually.be.rejected()
+      daemon = await createDaemon({ ...daemonOpts(restoreMultiaddr), id: keyPath })
+      await daemon.start()
+
+      const event = await restored
+
+      expect(event.protocols).to.deep.equal([protocol])
+      expect(down.called).to.be.false()
+    })
+  })
+
+  it('should not register stream handlers that were replaced', async () => {
+    client = new Client(restoreMultiaddr, { restore: { interval: 50 } })
+
+    await client.handle('/restore/1.0.0', () => {})
+    await client.handle(['/restore/1.0.0', '/restore/1.1.0'], () => {})
+
+    const register = sinon.spy(client, 'registerStreamHandler')
+    const restored = nextEvent(client, 'daemon:restored')
+    await restartDaemon()
+    await restored
+
+    expect(register.callCount).to.equal(1)
+    expect(register.firstCall.args[1]).to.deep.equal(['/restore/1.0.0', '/restore/1.1.0'])
+  })
+})
@@ -0,0 +1,158 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const { createDaemon } = require('libp2p-daemon/src/daemon')
+const Client = require('../src')
+const { RetryPolicy } = require('../src/util/retry')
+
+const PeerId = require('peer-id')
+
+const { getMultiaddr, isWindows } = require('./utils')
+const retryMultiaddr = getMultiaddr('/tmp/p2pd-retry.sock', 9094)
+const unreachableCode = isWindows ? 'ECONNREFUSED' : 'ENOENT'
+
+describe('daemon client retry', function () {
+  this.timeout(30e3)
+
+  const daemonOpts = () => ({
+    quiet: false,
+    q: false,
+    bootstrap: false,
+    b: false,
+    dht: false,
+    dhtClient: false,
+    connMgr: false,
+    listen: retryMultiaddr.toString(),
+    id: '',
+    bootstrapPeers: ''
+  })
+
+  let client
+
+  afterEach(async () => {
+    sinon.restore()
+    await client && client.close()
+  })
+
+  it('should retry a request until the daemon is reachable', async () => {
+    client = new Client(retryMultiaddr, { retry: { maxAttempts: 20, minDelay: 50, maxDelay: 100 } })
+
+    const daemon = await createDaemon(daemonOpts())
+    const started = new Promise((resolve) => setTimeout(resolve, 200)).then(() => daemon.start())
+
+    try {
+      const identify = await client.identify()
+      expect(PeerId.isPeerId(identify.peerId)).to.be.true()
+    } finally {
+      await started
+      await daemon.stop()
+    }
+  })
+
+  it('should fail right away without a retry policy', async () => {
+    client = new Client(retryMultiaddr)
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    await expect(client.identify()).to.eventually.be.rejected
+      .with.property('code', unreachableCode)
+    expect(connectDaemon.callCount).to.equal(1)
+  })
+
+  it('should give up after the max attempts', async () => {
+    client = new Client(retryMultiaddr, { retry: { maxAttempts: 3, minDelay: 10 } })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    await expect(client.dht.get(uint8ArrayFromString('/key'))).to.eventually.be.rejected
+      .with.property('code', unreachableCode)
+    expect(connectDaemon.callCount).to.equal(3)
+  })
+
+  it('should not retry errors that are not retryable', async () => {
+    client = new Client(retryMultiaddr, { retry: { minDelay: 10, codes: ['ECONNRESET'] } })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    await expect(client.listPeers()).to.eventually.be.rejected
+      .with.property('code', unreachableCode)
+    expect(connectDaemon.callCount).to.equal(1)
+  })
+
+  it('should not retry requests that are not idempotent', async () => {
+    client = new Client(retryMultiaddr, { retry: { minDelay: 10 } })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    await expect(client.pubsub.publish('topic', uint8ArrayFromString('data'))).to.eventually.be.rejected
+      .with.property('code', unreachableCode)
+    expect(connectDaemon.callCount).to.equal(1)
+  })
+
+  it('should retry requests that are not idempotent when opted in', async () => {
+    client = new Client(retryMultiaddr, { retry: { minDelay: 10 } })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    await expect(client.pubsub.publish('topic', uint8ArrayFromString('data'), { retry: true })).to.eventually.be.rejected
+      .with.property('code', unreachableCode)
+    expect(connectDaemon.callCount).to.equal(3)
+  })
+
+  it('should not retry a request that opted out', async () => {
+    client = new Client(retryMultiaddr, { retry: { minDelay: 10 } })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    await expect(client.identify({ retry: false })).to.eventually.be.rejected
+      .with.property('code', unreachableCode)
+    expect(connectDaemon.callCount).to.equal(1)
+  })
+
+  it('should retry connections of a pooled client', async () => {
+    client = new Client(retryMultiaddr, { pool: true, retry: { minDelay: 10 } })
+
+    const connectDaemon = sinon.spy(client, 'connectDaemon')
+
+    await expect(client.identify()).to.eventually.be.rejected
+      .with.property('code', unreachableCode)
+    expect(connectDaemon.callCount).to.equal(3)
+    expect(client._pool.size).to.equal(0)
+  })
+
+  it('should stop retrying when the request times out', async () => {
+    client = new Client(retryMultiaddr, { retry: { maxAttempts: 10, minDelay: 1000 } })
+
+    await expect(client.identify({ timeout: 100 })).to.eventually.be.rejected
+      .with.property('code', 'ERR_TIMEOUT')
+  })
+
+  describe('policy', () => {
+    it('should back off exponentially up to the max delay', () => {
+      const policy = new RetryPolicy({ minDelay: 100, maxDelay: 500, jitter: 0 })
+
+      expect([1, 2, 3, 4].map((attempt) => policy.delay(attempt))).to.deep.equal([100, 200, 400, 500])
+    })
+
+    it('should randomize delays by the jitter', () => {
+      const policy = new RetryPolicy({ minDelay: 100, jitter: 0.5 })
+
+      for (let i = 0; i < 20; i++) {
+        expect(policy.delay(1)).to.be.within(50, 100)
+      }
+    })
+
+    it('should error if receive invalid options', () => {
+      expect(() => new RetryPolicy({ maxAttempts: 0 })).to.throw()
+        .with.property('code', 'ERR_INVALID_RETRY_OPTIONS')
+      expect(() => new RetryPolicy({ jitter: 2 })).to.throw()
+        .with.property('code', 'ERR_INVALID_RETRY_OPTIONS')
+      expect(() => new Client(retryMultiaddr, { retry: { minDelay: -1 } })).to.throw()
+        .with.property('code', 'ERR_INVALID_RETRY_OPTIONS')
+    })
+  })
+})
@@ -0,0 +1,88 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('aegir/utils/chai')
+const fs = require('fs')
+const path = require('path')
+const PeerID = require('peer-id')
+
+const Client = require('../src')
+const { codes } = require('../src/errors')
+const { spawnDaemon } = require('../src/spawn')
+
+const { isWindows } = require('./utils')
+
+describe('spawnDaemon', function () {
+  this.timeout(30e3)
+
+  if (isWindows) {
+    return
+  }
+
+  const daemons = []
+  const spawnAndTrack = async (options) => {
+    const daemon = await spawnDaemon(options)
+    daemons.push(daemon)
+    return daemon
+  }
+
+  afterEach(async () => {
+    await Promise.all(daemons.splice(0).map((daemon) => daemon.stop()))
+  })
+
+  it('should start a daemon in-process with a connected client', async () => {
+    const daemon = await spawnAndTrack()
+
+    expect(daemon.client).to.be.an.instanceOf(Client)
+    expect(PeerID.isPeerId(daemon.peerId)).to.be.true()
+    expect(daemon.addrs).to.not.be.empty()
+
+    const identity = await daemon.client.identify()
+    expect(identity.peerId.equals(daemon.peerId)).to.be.true()
+  })
+
+  it('should use a unique socket path for each daemon', async () => {
+    const [a, b] = await Promise.all([spawnAndTrack(), spawnAndTrack()])
+
+    expect(a.socketPath).to.not.equal(b.socketPath)
+    expect(a.peerId.equals(b.peerId)).to.be.false()
+  })
+
+  it('should remove the socket once stopped', async () => {
+    const daemon = await spawnDaemon()
+
+    expect(fs.existsSync(daemon.socketPath)).to.be.true()
+
+    await daemon.stop()
+
+    expect(fs.existsSync(daemon.socketPath)).to.be.false()
+  })
+
+  it('should pass options to the client', async () => {
+    const daemon = await spawnAndTrack({ client: { metrics: true } })
+
+    await daemon.client.listPeers()
+
+    expect(daemon.client.metrics.snapshot().requests).to.have.property('LIST_PEERS', 1)
+  })
+
+  it('should start a daemon binary as a child process', async () => {
+    const daemon = await spawnAndTrack({
+      binary: path.join(__dirname, '../node_modules/.bin/jsp2pd'),
+      args: ['--quiet']
+    })
+
+    const identity = await daemon.client.identify()
+    expect(identity.peerId.equals(daemon.peerId)).to.be.true()
+  })
+
+  it('should error if the binary cannot be started', async () => {
+    await expect(spawnDaemon({ binary: '/non/existent/p2pd' })).to.eventually.be.rejected
+      .with.property('code', codes.ERR_DAEMON_START_FAILED)
+  })
+
+  it('should error if the daemon exits before answering', async () => {
+    await expect(spawnDaemon({ binary: process.execPath, args: ['--no-such-flag'] })).to.eventually.be.rejected
+      .with.property('code', codes.ERR_DAEMON_START_FAILED)
+  })
+})
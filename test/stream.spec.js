@@ -7,6 +7,7 @@ const { collect, take } = require('streaming-iterables')
 const { toBuffer } = require('it-buffer')
 const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
 
+const { Multiaddr } = require('multiaddr')
 const Client = require('../src')
 const { createDaemon } = require('libp2p-daemon/src/daemon')
 const { StreamInfo } = require('libp2p-daemon/src/protocol')
@@ -127,6 +128,172 @@ describe('daemon stream client', function () {
     expect(output).to.eql([data])
   })
 
+  it('should be able to handle inbound streams with a handler', async () => {
+    const data = uint8ArrayFromString('test-data')
+    const protocol = '/protocol/1.0.0'
+
+    clientA = new Client(defaultMultiaddr)
+    clientB = new Client(addr2)
+
+    const identifyA = await clientA.identify()
+    const identifyB = await clientB.identify()
+
+    await clientA.connect(identifyB.peerId, identifyB.addrs)
+
+    let inbound
+    await clientB.handle(protocol, (stream) => {
+      inbound = stream
+
+      // echo messages
+      pipe(stream.stream, stream.stream)
+    })
+
+    const stream = await clientA.openStream(identifyB.peerId, protocol)
+
+    const source = require('it-pushable')()
+    source.push(data)
+
+    const output = await pipe(
+      source,
+      stream,
+      take(1),
+      toBuffer,
+      collect
+    )
+
+    source.end()
+    expect(output).to.eql([data])
+
+    expect(inbound.peerId.toB58String()).to.equal(identifyA.peerId.toB58String())
+    expect(Multiaddr.isMultiaddr(inbound.addr)).to.be.true()
+    expect(inbound.protocol).to.equal(protocol)
+  })
+
+  it('should end inbound streams with an invalid stream info', async () => {
+    const protocol = '/protocol/1.0.0'
+    const unhandled = []
+    const onUnhandled = (err) => unhandled.push(err)
+    process.on('unhandledRejection', onUnhandled)
+
+    clientB = new Client(addr2)
+
+    let handled = false
+    await clientB.handle(protocol, () => { handled = true })
+
+    try {
+      const connection = await clientB.tcp.dial(clientB._handlers.get(protocol).addr)
+      const streamHandler = new StreamHandler({ stream: connection })
+      streamHandler.write(StreamInfo.encode({
+        peer: Uint8Array.from([1, 2, 3]),
+        addr: new Multiaddr('/ip4/127.0.0.1/tcp/4001').bytes,
+        proto: protocol
+      }).finish())
+
+      expect(await streamHandler.read()).to.be.undefined()
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled)
+    }
+
+    expect(handled).to.be.false()
+    expect(unhandled).to.be.empty()
+  })
+
+  it('should negotiate one of several protocols', async () => {
+    const data = uint8ArrayFromString('test-data')
+
+    clientA = new Client(defaultMultiaddr)
+    clientB = new Client(addr2)
+
+    const identifyB = await clientB.identify()
+    await clientA.connect(identifyB.peerId, identifyB.addrs)
+
+    let inbound
+    await clientB.handle(['/myproto/2.0.0', '/myproto/1.0.0'], (stream) => {
+      inbound = stream
+
+      // echo messages
+      pipe(stream.stream, stream.stream)
+    })
+
+    const stream = await clientA.openStream(identifyB.peerId, ['/myproto/3.0.0', '/myproto/1.0.0'])
+    expect(stream.protocol).to.equal('/myproto/1.0.0')
+
+    const source = require('it-pushable')()
+    source.push(data)
+
+    const output = await pipe(
+      source,
+      stream,
+      take(1),
+      toBuffer,
+      collect
+    )
+
+    source.end()
+    expect(output).to.eql([data])
+    expect(inbound.protocol).to.equal('/myproto/1.0.0')
+  })
+
+  it('should return the stream info with the opened stream', async () => {
+    const data = uint8ArrayFromString('test-data')
+    const protocol = '/protocol/1.0.0'
+
+    clientA = new Client(defaultMultiaddr)
+    clientB = new Client(addr2)
+
+    const identifyB = await clientB.identify()
+    await clientA.connect(identifyB.peerId, identifyB.addrs)
+
+    await clientB.handle(protocol, ({ stream }) => {
+      // echo messages
+      pipe(stream, stream)
+    })
+
+    const outbound = await clientA.openStream(identifyB.peerId, protocol)
+
+    expect(outbound.peerId.toB58String()).to.equal(identifyB.peerId.toB58String())
+    expect(outbound.protocol).to.equal(protocol)
+    expect(Multiaddr.isMultiaddr(outbound.remoteAddr)).to.be.true()
+    expect(identifyB.addrs.map((addr) => addr.toString())).to.include(outbound.remoteAddr.decapsulate('/p2p').toString())
+
+    const source = require('it-pushable')()
+    source.push(data)
+
+    const output = await pipe(
+      source,
+      outbound.stream,
+      take(1),
+      toBuffer,
+      collect
+    )
+
+    source.end()
+    expect(output).to.eql([data])
+  })
+
+  it('should error if openStream receives an empty list of protocols', async () => {
+    clientA = new Client(defaultMultiaddr)
+    const identifyA = await clientA.identify()
+
+    await expect(clientA.openStream(identifyA.peerId, [])).to.eventually.be.rejected
+      .with.property('code', 'ERR_INVALID_PROTOCOL')
+  })
+
+  it('should error if handle receives an invalid protocol', async () => {
+    clientA = new Client(defaultMultiaddr)
+
+    await expect(clientA.handle(null, () => {})).to.eventually.be.rejected
+      .with.property('code', 'ERR_INVALID_PROTOCOL')
+  })
+
+  it('should error if handle receives an invalid handler', async () => {
+    clientA = new Client(defaultMultiaddr)
+
+    await expect(clientA.handle('/protocol/1.0.0', null)).to.eventually.be.rejected
+      .with.property('code', 'ERR_INVALID_HANDLER')
+  })
+
   it('should error if openStream receives an invalid peerId', async () => {
     let socket
 
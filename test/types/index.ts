@@ -0,0 +1,232 @@
+// Type checks of the declarations, compiled with `npm run test:types` and never run
+
+import PeerId = require('peer-id')
+import { Multiaddr } from 'multiaddr'
+import { CID } from 'multiformats/cid'
+import Client = require('../../src')
+import Subscription = require('../../src/subscription')
+import MockDaemon = require('../../src/mock-daemon')
+import { codes, requestType, ErrorCode, DaemonError } from '../../src/errors'
+import { spawnDaemon, SpawnedDaemon } from '../../src/spawn'
+import { createNetwork, topologies, Network } from '../../src/network'
+
+/**
+ * Fails to compile unless `value` is of type `T`. As `any` is of any type,
+ * the `@ts-expect-error` checks make sure values are not `any`.
+ */
+declare function expectType<T> (value: T): void
+
+declare const peerId: PeerId
+declare const addr: Multiaddr
+declare const cid: CID
+declare const key: Uint8Array
+
+async function client () {
+  const client = new Client(addr, {
+    pool: { maxSize: 2 },
+    retry: { maxAttempts: 5, codes: ['ECONNREFUSED'] },
+    restore: true,
+    metrics: { buckets: [10, 100] }
+  })
+  const options: Client.RequestOptions = { signal: new AbortController().signal, timeout: 1000, retry: false }
+
+  // @ts-expect-error the address is a multiaddr
+  new Client('/tmp/p2pd.sock') // eslint-disable-line no-new
+
+  // @ts-expect-error pool sizes are numbers
+  new Client(addr, { pool: { maxSize: '2' } }) // eslint-disable-line no-new
+
+  expectType<Client>(client.use(async (context, next) => {
+    expectType<Client.DaemonRequest>(context.request)
+    expectType<number | null>(context.duration)
+    await next()
+  }))
+
+  await client.connect(peerId, [addr], options)
+  // @ts-expect-error addresses are multiaddrs
+  await client.connect(peerId, ['/ip4/127.0.0.1/tcp/4001'])
+  await client.disconnect(peerId)
+
+  const { peerId: id, addrs } = await client.identify(options)
+  expectType<PeerId>(id)
+  expectType<Multiaddr[]>(addrs)
+  expectType<PeerId[]>(await client.listPeers())
+  // @ts-expect-error peers are peer ids
+  expectType<string[]>(await client.listPeers())
+
+  const stream = await client.openStream(peerId, ['/echo/2.0.0', '/echo/1.0.0'], options)
+  expectType<string>(stream.protocol)
+  expectType<Multiaddr>(stream.remoteAddr)
+  await stream.sink([key])
+  for await (const chunk of stream.source) {
+    expectType<Uint8Array>(chunk.slice())
+  }
+
+  await client.registerStreamHandler(addr, '/echo/1.0.0')
+  await client.handle('/echo/1.0.0', async ({ peerId, addr, protocol, stream }) => {
+    expectType<PeerId>(peerId)
+    expectType<Multiaddr>(addr)
+    expectType<string>(protocol)
+    await stream.sink(stream.source as AsyncIterable<Uint8Array>)
+  }, { addr, timeout: 1000 })
+
+  client.on('daemon:up', ({ peerId, latency }) => {
+    expectType<PeerId>(peerId)
+    expectType<number>(latency)
+  })
+  client.on('daemon:down', ({ error }) => expectType<Error>(error))
+  client.on('daemon:peer-id-changed', ({ previous }) => expectType<PeerId>(previous))
+  client.once('daemon:restored', ({ protocols }) => expectType<string[]>(protocols))
+
+  client.health.start({ interval: 1000 })
+  expectType<boolean | null>(client.health.reachable)
+  const status = await client.health.check({ timeout: 100 })
+  expectType<boolean>(status.reachable)
+  expectType<number | undefined>(status.latency)
+  await client.health.stop()
+
+  await client.connManager.tagPeer(peerId, 'tag', 10)
+  await client.connManager.untagPeer(peerId, 'tag')
+  await client.connManager.trim()
+
+  expectType<string[]>(await client.peerstore.getProtocols(peerId))
+  expectType<Client.PeerInfo>(await client.peerstore.getPeerInfo(peerId))
+
+  if (client.metrics != null) {
+    expectType<Record<string, number>>(client.metrics.snapshot().requests)
+    expectType<string>(client.metrics.toPrometheus())
+  }
+
+  // @ts-expect-error metrics are only collected when enabled
+  client.metrics.snapshot()
+
+  await client.close()
+}
+
+async function dht (client: Client) {
+  await client.dht.put(key, key)
+  // @ts-expect-error values are bytes
+  await client.dht.put(key, 'value')
+
+  expectType<Uint8Array>(await client.dht.get(key, { timeout: 1000 }))
+  // @ts-expect-error values are bytes
+  expectType<string>(await client.dht.get(key))
+
+  for await (const value of client.dht.searchValue(key)) {
+    expectType<Uint8Array>(value)
+  }
+
+  const peer = await client.dht.findPeer(peerId)
+  expectType<PeerId>(peer.id)
+  expectType<Multiaddr[]>(peer.addrs)
+
+  await client.dht.provide(cid)
+
+  for await (const provider of client.dht.findProviders(cid, 5, { timeout: 1000 })) {
+    expectType<PeerId>(provider.id)
+    expectType<Multiaddr[]>(provider.addrs)
+    // @ts-expect-error providers are peer ids
+    expectType<string>(provider.id)
+  }
+
+  for await (const { id } of client.dht.getClosestPeers(key)) {
+    expectType<PeerId>(id)
+  }
+
+  const publicKey = await client.dht.getPublicKey(peerId)
+  expectType<boolean>(await publicKey.verify(key, key))
+  expectType<Uint8Array>(publicKey.bytes)
+  // @ts-expect-error the key is unmarshaled
+  expectType<Uint8Array>(publicKey)
+}
+
+async function pubsub (client: Client) {
+  expectType<string[]>(await client.pubsub.getTopics())
+  expectType<PeerId[]>(await client.pubsub.listPeers('topic'))
+  expectType<PeerId[]>(await client.pubsub.getSubscribers('topic'))
+
+  await client.pubsub.publish('topic', key)
+  // @ts-expect-error data is bytes
+  await client.pubsub.publish('topic', 'data')
+
+  const subscription = await client.pubsub.subscribe('topic', { verifySignature: true, signal: new AbortController().signal })
+  expectType<Subscription>(subscription)
+
+  subscription.on('gap', ({ lostAt, restoredAt }) => {
+    expectType<Date>(lostAt)
+    expectType<Date>(restoredAt)
+  })
+
+  subscription.on('invalid', ({ message, error }) => {
+    expectType<Subscription.Message>(message)
+    expectType<'ERR_MISSING_SIGNATURE' | 'ERR_INVALID_SIGNATURE'>(error.code)
+  })
+
+  for await (const message of subscription) {
+    expectType<Subscription.Message>(message)
+    expectType<Uint8Array>(message.data)
+    expectType<PeerId | undefined>(message.from)
+    expectType<bigint | undefined>(message.seqno)
+    // @ts-expect-error data is bytes
+    expectType<string>(message.data)
+  }
+
+  await subscription.unsubscribe()
+}
+
+async function errors (client: Client) {
+  expectType<'ERR_TIMEOUT'>(Client.codes.ERR_TIMEOUT)
+  expectType<typeof codes>(Client.codes)
+  expectType<ErrorCode>(codes.ERR_DHT_GET_FAILED)
+
+  // @ts-expect-error unknown codes are not declared
+  expectType<string>(Client.codes.ERR_UNKNOWN)
+
+  try {
+    await client.dht.get(key)
+  } catch (err) {
+    const daemonError = err as DaemonError
+    if (daemonError.code === codes.ERR_DHT_GET_FAILED) {
+      expectType<string | undefined>(daemonError.daemonMessage)
+      expectType<string>(daemonError.requestType)
+    }
+  }
+
+  expectType<string>(requestType({ type: 1 }))
+}
+
+async function testing () {
+  const daemon: SpawnedDaemon = await spawnDaemon({ pubsub: true, pubsubRouter: 'gossipsub', client: { pool: true } })
+  expectType<Client>(daemon.client)
+  expectType<PeerId>(daemon.peerId)
+  expectType<string[] | undefined>(daemon.libp2p?.pubsub.getSubscribers('topic'))
+  await daemon.stop()
+
+  // @ts-expect-error only gossipsub and floodsub are supported
+  await spawnDaemon({ pubsubRouter: 'randomsub' })
+
+  const network: Network = await createNetwork({ size: 3, topology: 'ring', daemon: { dht: true } })
+  expectType<Client[]>(network.clients)
+  expectType<number[]>(network.neighbours(0))
+  expectType<Array<[number, number]>>(topologies.star(3))
+  await network.waitForDht({ minPeers: 1 })
+  await network.waitForPubsub('topic', { timeout: 1000 })
+  await network.stop()
+
+  // @ts-expect-error unknown topologies are rejected
+  await createNetwork({ size: 3, topology: 'tree' })
+
+  const mock = new MockDaemon({ peerId })
+  await mock.start()
+  mock
+    .respond('DHT.GET_VALUE', { dht: { type: 1, value: key } }, { times: 1 })
+    .respond('IDENTIFY', async (request) => ({ identify: { id: peerId.toBytes(), addrs: [] }, type: request.type }))
+    .fail('CONNECT', 'dial backoff', { delay: 10 })
+    .drop('LIST_PEERS')
+  expectType<number>(mock.publish('topic', { data: key, from: peerId }))
+  expectType<string>(mock.requests[0].type)
+  mock.reset()
+  await mock.stop()
+}
+
+export { client, dht, pubsub, errors, testing }
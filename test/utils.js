@@ -4,6 +4,7 @@ const os = require('os')
 const path = require('path')
 const { Multiaddr } = require('multiaddr')
 const PeerID = require('peer-id')
+const sinon = require('sinon')
 const isWindows = Boolean(os.type().match(/windows/gi))
 
 exports.getSockPath = (sockPath) => isWindows
@@ -22,3 +23,30 @@ exports.getMultiaddr = (sockPath, port) => isWindows
 exports.createPeerId = () => {
   return PeerID.create({ bits: 512 })
 }
+
+/**
+ * Polls `condition` until it returns a truthy value
+ *
+ * @param {function(): boolean} condition
+ * @param {number} [interval] - ms to wait between polls
+ * @returns {Promise<void>}
+ */
+exports.waitFor = async (condition, interval = 50) => {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, interval))
+  }
+}
+
+/**
+ * A stream handler that replays the given encoded messages, to be resolved
+ * by a stub of `client.send`
+ *
+ * @param {Array<Uint8Array>} messages
+ * @returns {Object}
+ */
+exports.mockStreamHandler = (messages) => ({
+  read: sinon.stub().callsFake(async () => messages.shift()),
+  close: sinon.stub().resolves(),
+  abort: sinon.stub(),
+  clearTimeout: sinon.stub()
+})